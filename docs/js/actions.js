@@ -0,0 +1,107 @@
+/* actions.js — Structured reservoir actions (dosing, top-ups, changes) logged on entries */
+
+(function () {
+  'use strict';
+
+  /**
+   * Action types stored in an entry's `actions` array, e.g.
+   *   { type: 'nutrient', product: 'Formulex', ml: 100 }
+   *   { type: 'ph-down', ml: 2 }
+   *   { type: 'top-up', litres: 5 }
+   *   { type: 'reservoir-change', litres: 30 }
+   */
+  const TYPES = {
+    'nutrient': {
+      label: 'Nutrient addition',
+      fields: [
+        { key: 'product', label: 'Product', type: 'text', placeholder: 'e.g. Formulex' },
+        { key: 'ml', label: 'ml', type: 'number' }
+      ]
+    },
+    'ph-up': {
+      label: 'pH up',
+      fields: [{ key: 'ml', label: 'ml', type: 'number' }]
+    },
+    'ph-down': {
+      label: 'pH down',
+      fields: [{ key: 'ml', label: 'ml', type: 'number' }]
+    },
+    'top-up': {
+      label: 'Top-up',
+      fields: [{ key: 'litres', label: 'Litres', type: 'number' }]
+    },
+    'reservoir-change': {
+      label: 'Reservoir change',
+      fields: [{ key: 'litres', label: 'Litres', type: 'number' }]
+    }
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function describe(action) {
+    const type = TYPES[action.type];
+    const label = type ? type.label : action.type;
+    switch (action.type) {
+      case 'nutrient':
+        return `${action.product || 'Nutrient'} ${action.ml != null ? `${action.ml} ml` : ''}`.trim();
+      case 'ph-up':
+      case 'ph-down':
+        return action.ml != null ? `${label} ${action.ml} ml` : label;
+      case 'top-up':
+        return action.litres != null ? `${label} ${action.litres} L` : label;
+      case 'reservoir-change':
+        return action.litres != null ? `${label} (${action.litres} L)` : label;
+      default:
+        return label;
+    }
+  }
+
+  /**
+   * totals — running totals across an experiment's entries
+   *
+   * Returns { nutrients: { product: ml }, phUp, phDown, topUp,
+   *           reservoirChanges, lastReservoirChange, daysSinceReservoirChange }
+   */
+  function totals(entries, today) {
+    const result = {
+      nutrients: {},
+      phUp: 0,
+      phDown: 0,
+      topUp: 0,
+      reservoirChanges: 0,
+      lastReservoirChange: null,
+      daysSinceReservoirChange: null
+    };
+
+    entries.forEach(entry => {
+      (entry.actions || []).forEach(a => {
+        switch (a.type) {
+          case 'nutrient': {
+            const product = a.product || 'Unnamed';
+            result.nutrients[product] = (result.nutrients[product] || 0) + (a.ml || 0);
+            break;
+          }
+          case 'ph-up': result.phUp += a.ml || 0; break;
+          case 'ph-down': result.phDown += a.ml || 0; break;
+          case 'top-up': result.topUp += a.litres || 0; break;
+          case 'reservoir-change':
+            result.reservoirChanges++;
+            if (!result.lastReservoirChange || entry.date > result.lastReservoirChange) {
+              result.lastReservoirChange = entry.date;
+            }
+            break;
+        }
+      });
+    });
+
+    if (result.lastReservoirChange) {
+      const from = new Date(result.lastReservoirChange + 'T00:00:00');
+      const to = new Date((today || new Date().toISOString().split('T')[0]) + 'T00:00:00');
+      result.daysSinceReservoirChange = Math.round((to - from) / DAY_MS);
+    }
+
+    return result;
+  }
+
+  window.EntryActions = { TYPES, describe, totals };
+})();
@@ -0,0 +1,152 @@
+/* camera.js — In-app camera with a ghost of the previous photo for consistent framing */
+
+(function () {
+  'use strict';
+
+  const DEFAULT_GHOST_OPACITY = 0.35;
+  const CAPTURE_QUALITY = 0.92;
+
+  // Only one camera view is ever open
+  let state = null;
+
+  function isSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  function getStream(facingMode) {
+    return navigator.mediaDevices.getUserMedia({
+      video: { facingMode, width: { ideal: 1920 }, height: { ideal: 1440 } },
+      audio: false
+    });
+  }
+
+  /**
+   * open — full-screen viewfinder
+   *
+   * opts.ghostSrc: previous photo drawn translucently over the viewfinder
+   * opts.onCapture(file): called with a JPEG File for every shot
+   * opts.onClose(): called when the user is done
+   * Rejects (with the getUserMedia error) when no camera can be opened, so
+   * the caller can fall back to the file picker.
+   */
+  async function open(opts = {}) {
+    if (state) return;
+
+    let facingMode = 'environment';
+    const stream = await getStream(facingMode);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'camera-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.innerHTML = `
+      <div class="camera-stage">
+        <video class="camera-video" autoplay playsinline muted></video>
+        ${opts.ghostSrc ? `<img class="camera-ghost" src="${Html.escape(opts.ghostSrc)}" alt="Previous photo">` : ''}
+        <div class="camera-flash"></div>
+      </div>
+      <div class="camera-controls">
+        ${opts.ghostSrc ? `
+          <label class="camera-ghost-control">
+            Ghost
+            <input type="range" class="camera-ghost-opacity" min="0" max="0.8" step="0.05" value="${DEFAULT_GHOST_OPACITY}">
+          </label>
+        ` : '<small>No previous photo to line up with</small>'}
+        <div class="camera-buttons">
+          <button type="button" class="secondary outline camera-flip" aria-label="Switch camera">Flip</button>
+          <button type="button" class="camera-shutter" aria-label="Take photo"></button>
+          <button type="button" class="secondary camera-done">Done <span class="camera-count"></span></button>
+        </div>
+      </div>
+    `;
+
+    const video = overlay.querySelector('.camera-video');
+    const ghost = overlay.querySelector('.camera-ghost');
+    video.srcObject = stream;
+
+    state = { overlay, stream, video, count: 0, opts, onKey };
+
+    if (ghost) {
+      ghost.style.opacity = DEFAULT_GHOST_OPACITY;
+      overlay.querySelector('.camera-ghost-opacity').addEventListener('input', (e) => {
+        ghost.style.opacity = e.target.value;
+      });
+    }
+
+    overlay.querySelector('.camera-shutter').addEventListener('click', capture);
+    overlay.querySelector('.camera-done').addEventListener('click', dismiss);
+    overlay.querySelector('.camera-flip').addEventListener('click', async () => {
+      facingMode = facingMode === 'environment' ? 'user' : 'environment';
+      try {
+        const next = await getStream(facingMode);
+        stopStream();
+        state.stream = next;
+        video.srcObject = next;
+        overlay.classList.toggle('mirrored', facingMode === 'user');
+      } catch {
+        // Only one camera: keep the current one
+        facingMode = facingMode === 'environment' ? 'user' : 'environment';
+      }
+    });
+
+    document.addEventListener('keydown', onKey);
+    document.body.appendChild(overlay);
+    document.body.classList.add('camera-open');
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') dismiss();
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      capture();
+    }
+  }
+
+  function capture() {
+    const { video } = state;
+    if (!video.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    const current = state;
+    canvas.toBlob((blob) => {
+      if (!blob) return;
+      const file = new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg', lastModified: Date.now() });
+      current.count++;
+      current.overlay.querySelector('.camera-count').textContent = `(${current.count})`;
+      if (current.opts.onCapture) current.opts.onCapture(file);
+    }, 'image/jpeg', CAPTURE_QUALITY);
+
+    // Brief white flash as shutter feedback
+    const flash = state.overlay.querySelector('.camera-flash');
+    flash.classList.remove('flashing');
+    void flash.offsetWidth;
+    flash.classList.add('flashing');
+  }
+
+  function stopStream() {
+    state.stream.getTracks().forEach(track => track.stop());
+  }
+
+  // Stop the camera and remove the view and its listeners
+  function close() {
+    if (!state) return;
+    stopStream();
+    document.removeEventListener('keydown', state.onKey);
+    state.overlay.remove();
+    document.body.classList.remove('camera-open');
+    state = null;
+  }
+
+  function dismiss() {
+    if (!state) return;
+    const onClose = state.opts.onClose;
+    close();
+    if (onClose) onClose();
+  }
+
+  window.Camera = { isSupported, open, close };
+})();
@@ -0,0 +1,26 @@
+/* compress-worker.js — Off-main-thread photo compression with createImageBitmap + OffscreenCanvas */
+
+importScripts('exif.js', 'image-pipeline.js');
+
+/**
+ * Message in:  { id, file, settings }
+ * Message out: { id, result } or { id, error }
+ *
+ * Only browsers that apply EXIF orientation in createImageBitmap
+ * (imageOrientation: 'from-image') are handled here; anything else is
+ * reported as an error and the page compresses that photo itself.
+ */
+self.addEventListener('message', async (event) => {
+  const { id, file, settings } = event.data;
+  let bitmap = null;
+
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const result = await ImagePipeline.compress({ source: bitmap, orientation: 1 }, settings);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  } finally {
+    if (bitmap) bitmap.close();
+  }
+});
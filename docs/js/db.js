@@ -0,0 +1,107 @@
+/* db.js — Minimal promise wrapper around IndexedDB, shared by pages and the service worker */
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'hydro-journal';
+  const DB_VERSION = 3;
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // Queued submissions waiting for connectivity
+        if (!db.objectStoreNames.contains('outbox')) {
+          db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+        }
+        // Autosaved entry-form drafts (added in version 2)
+        if (!db.objectStoreNames.contains('drafts')) {
+          db.createObjectStore('drafts', { keyPath: 'id', autoIncrement: true });
+        }
+        // Task reminders already shown, by experiment/task/due date (added in version 3)
+        if (!db.objectStoreNames.contains('reminders')) {
+          db.createObjectStore('reminders', { keyPath: 'key' });
+        }
+      };
+
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer page or service worker upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  // Run fn(store) in a transaction and resolve with its result once committed
+  async function withStore(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const store = tx.objectStore(storeName);
+      let result;
+
+      Promise.resolve(fn(store)).then(value => { result = value; }, reject);
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function getAll(storeName) {
+    return withStore(storeName, 'readonly', store => request(store.getAll()));
+  }
+
+  function get(storeName, key) {
+    return withStore(storeName, 'readonly', store => request(store.get(key)));
+  }
+
+  // Returns the record's key (useful with autoIncrement stores)
+  function put(storeName, value) {
+    return withStore(storeName, 'readwrite', store => request(store.put(value)));
+  }
+
+  function remove(storeName, key) {
+    return withStore(storeName, 'readwrite', store => request(store.delete(key)));
+  }
+
+  /**
+   * update — read-modify-write a single record atomically
+   *
+   * fn(record) returns the new record, or undefined to leave it untouched.
+   * Resolves with whatever fn returned.
+   */
+  function update(storeName, key, fn) {
+    return withStore(storeName, 'readwrite', async (store) => {
+      const current = await request(store.get(key));
+      const next = fn(current);
+      if (next !== undefined) store.put(next);
+      return next;
+    });
+  }
+
+  self.HydroDB = { open, getAll, get, put, remove, update };
+})();
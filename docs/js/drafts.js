@@ -0,0 +1,40 @@
+/* drafts.js — Autosaved entry-form drafts in IndexedDB, shared by the page and service worker */
+
+(function () {
+  'use strict';
+
+  const STORE = 'drafts';
+
+  /**
+   * save — create or overwrite a draft
+   *
+   * A draft is everything needed to rebuild the form:
+   *   { id?, experimentId, filename?, date, time, notes,
+   *     measurements: { key: raw input value }, actions: [...],
+   *     observations: [...] (per-plant, unchecked),
+   *     photos: [{ file: Blob, caption, tags, plant }],
+   *     existingImages: [...] (when editing) }
+   * Resolves with the draft's id (assigned on first save).
+   */
+  function save(draft) {
+    const record = { ...draft, updatedAt: new Date().toISOString() };
+    if (record.id == null) delete record.id;
+    return HydroDB.put(STORE, record);
+  }
+
+  // Newest first
+  async function list() {
+    const drafts = await HydroDB.getAll(STORE);
+    return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function get(id) {
+    return HydroDB.get(STORE, id);
+  }
+
+  function remove(id) {
+    return HydroDB.remove(STORE, id);
+  }
+
+  self.Drafts = { save, list, get, remove };
+})();
@@ -0,0 +1,363 @@
+/* entries.js — Entry file layout and commit assembly, shared by the page and service worker */
+
+(function () {
+  'use strict';
+
+  // Repo paths (for commits) vs. site URLs (for reading what Pages serves)
+  const DATA_ROOT = 'docs/data/experiments';
+  const SITE_DATA_ROOT = './data/experiments';
+
+  // Entry fields the form writes in full; anything else on an edited entry is kept
+  const FORM_FIELDS = ['date', 'time', 'notes', 'images', 'measurements', 'actions', 'observations'];
+
+  function indexPath(experimentId) {
+    return `${DATA_ROOT}/${experimentId}/entries/index.json`;
+  }
+
+  function metaPath(experimentId) {
+    return `${DATA_ROOT}/${experimentId}/meta.json`;
+  }
+
+  function entryPath(experimentId, filename) {
+    return `${DATA_ROOT}/${experimentId}/entries/${filename}`;
+  }
+
+  // Tags offered for each photo on the entry form
+  const PHOTO_TAGS = ['roots', 'leaves', 'deficiency', 'pest'];
+
+  /**
+   * normalizeImage — one entry image as { path, caption, tags, plant, ... }
+   *
+   * Entries written before photo metadata existed list bare path strings;
+   * both forms load the same way. Other fields (takenAt, camera) pass through.
+   */
+  function normalizeImage(image) {
+    if (typeof image === 'string') return { path: image, caption: '', tags: [], plant: '' };
+    return {
+      ...image,
+      caption: image.caption || '',
+      tags: Array.isArray(image.tags) ? image.tags : [],
+      plant: image.plant || ''
+    };
+  }
+
+  // The stored form: the path plus whichever metadata fields are set
+  function compactImage(image) {
+    const { path, caption, tags, plant, ...rest } = normalizeImage(image);
+    const out = { path };
+    if (caption) out.caption = caption;
+    if (tags.length > 0) out.tags = tags;
+    if (plant) out.plant = plant;
+    return { ...out, ...rest };
+  }
+
+  // Every file stored for an image: the full-size photo and its thumbnail
+  function imageFiles(image) {
+    const img = normalizeImage(image);
+    return [img.path, img.thumb].filter(Boolean);
+  }
+
+  // Pick the entry filename for a date, adding _NN when the date is already taken
+  function nextEntryFilename(filenames, date) {
+    const existing = filenames.filter(f => f.startsWith(date));
+    if (existing.length === 0) return `${date}.json`;
+
+    // Find the next sequence number
+    let maxSeq = 0;
+    for (const f of existing) {
+      const match = f.match(/_(\d+)\.json$/);
+      if (match) {
+        maxSeq = Math.max(maxSeq, parseInt(match[1]));
+      } else {
+        // The base file exists without sequence, so the next is _02
+        maxSeq = Math.max(maxSeq, 1);
+      }
+    }
+    const nextSeq = String(maxSeq + 1).padStart(2, '0');
+    return `${date}_${nextSeq}.json`;
+  }
+
+  // Filenames for new entries on `dates`, in order, as successive
+  // nextEntryFilename() calls would pick them (so same-day rows get _02, _03…)
+  function assignFilenames(filenames, dates) {
+    const taken = [...filenames];
+    return dates.map(date => {
+      const filename = nextEntryFilename(taken, date);
+      taken.push(filename);
+      return filename;
+    });
+  }
+
+  /**
+   * loadAll — fetch an experiment's published entries in parallel
+   *
+   * Each entry is tagged with the file it came from as `_file` (needed for
+   * edit/delete and deep links), and its images are normalised with
+   * normalizeImage(). Entries that fail to load are skipped.
+   * Throws when the experiment has no entries/index.json.
+   */
+  async function loadAll(experimentId) {
+    const indexRes = await fetch(`${SITE_DATA_ROOT}/${experimentId}/entries/index.json`);
+    if (!indexRes.ok) throw new Error('No entries found');
+    const indexData = await indexRes.json();
+
+    const entries = await Promise.all(
+      (indexData.entries || []).map(async (fname) => {
+        const res = await fetch(`${SITE_DATA_ROOT}/${experimentId}/entries/${fname}`);
+        if (!res.ok) return null;
+        const entry = await res.json();
+        entry._file = fname;
+        entry.images = (entry.images || []).map(normalizeImage);
+        return entry;
+      })
+    );
+
+    return entries.filter(Boolean);
+  }
+
+  // Highest _NNN photo sequence among an entry's image paths
+  function maxImageSeq(paths) {
+    return paths.reduce((max, p) => {
+      const match = p.match(/_(\d{3})\.\w+$/);
+      return match ? Math.max(max, parseInt(match[1])) : max;
+    }, 0);
+  }
+
+  async function readIndex(token, owner, repo, experimentId, ref) {
+    const index = await GitHubAPI.getFileContent(token, owner, repo, indexPath(experimentId), ref);
+    return index || { entries: [] };
+  }
+
+  /**
+   * buildEntryFiles — turn a submission into the files for one commit
+   *
+   * A submission is plain, serialisable data so it can sit in the outbox:
+   *   { experimentId, date, entry: { date, time, notes, measurements },
+   *     photos: [{ data, ext, width, height, thumb, thumbWidth }, ...],
+   *     photoMeta: [{ caption, tags, plant }, ...] }
+   * data/thumb are base64; a photo may also be a bare base64 JPEG string
+   * (as queued before thumbnails existed).
+   * photoMeta lines up with photos and may be shorter or missing.
+   * Editing an existing entry adds:
+   *   { filename, keepImages: [{ path, caption, tags, plant } or path, ...] }
+   * and any of the entry's committed images not in keepImages are deleted.
+   * A kept image given as an object overrides the committed metadata.
+   * Fields of the committed entry the form doesn't edit (hand-added keys,
+   * newer schema) are carried over.
+   * A submission completing a recurring task adds { taskId }; the task's
+   * lastDone in meta.json moves to the entry's date in the same commit.
+   *
+   * Reads the experiment's entries/index.json as of `ref` to pick a free
+   * filename. Photos are named after the entry (2026-02-11_001.webp for
+   * 2026-02-11.json, 2026-02-11_02_001.webp for 2026-02-11_02.json) so two
+   * entries on the same day never overwrite each other's images; the
+   * thumbnail sits alongside as 2026-02-11_001_thumb.webp.
+   * Returns { files, filename }.
+   */
+  async function buildEntryFiles(token, owner, repo, submission, ref) {
+    const { experimentId, date } = submission;
+    const index = await readIndex(token, owner, repo, experimentId, ref);
+
+    const files = [];
+    let filename;
+    const images = [];
+    let lastSeq = 0;
+    // Fields on the committed entry that the form doesn't know about
+    const kept = {};
+
+    if (submission.filename) {
+      filename = submission.filename;
+      if (!index.entries.includes(filename)) {
+        throw new Error(`Entry ${filename} no longer exists.`);
+      }
+
+      // Diff against the entry as committed, not as the form first loaded it
+      const current = await GitHubAPI.getFileContent(
+        token, owner, repo, entryPath(experimentId, filename), ref
+      );
+      Object.keys(current || {})
+        .filter(key => !FORM_FIELDS.includes(key))
+        .forEach(key => { kept[key] = current[key]; });
+      const currentImages = ((current && current.images) || []).map(normalizeImage);
+      const keep = new Map((submission.keepImages || []).map(k => [
+        typeof k === 'string' ? k : k.path,
+        k
+      ]));
+
+      currentImages.forEach(img => {
+        if (!keep.has(img.path)) {
+          imageFiles(img).forEach(p => files.push({ path: `docs/${p}`, delete: true }));
+          return;
+        }
+        const keepSpec = keep.get(img.path);
+        images.push(compactImage(typeof keepSpec === 'string' ? img : { ...img, ...keepSpec }));
+      });
+
+      // Never reuse a sequence number, even one deleted in this same commit
+      lastSeq = maxImageSeq(currentImages.map(img => img.path));
+    } else {
+      filename = nextEntryFilename(index.entries, date);
+      index.entries.push(filename);
+      index.entries.sort();
+    }
+
+    const base = filename.replace(/\.json$/, '');
+    const photoMeta = submission.photoMeta || [];
+    (submission.photos || []).forEach((item, i) => {
+      const photo = typeof item === 'string' ? { data: item, ext: 'jpg' } : item;
+      const seq = String(lastSeq + i + 1).padStart(3, '0');
+      const stem = `images/${experimentId}/${base}_${seq}`;
+      const image = { ...photoMeta[i], path: `${stem}.${photo.ext}` };
+      files.push({ path: `docs/${image.path}`, content: photo.data, encoding: 'base64' });
+
+      if (photo.thumb) {
+        image.thumb = `${stem}_thumb.${photo.ext}`;
+        files.push({ path: `docs/${image.thumb}`, content: photo.thumb, encoding: 'base64' });
+      }
+      if (photo.width) {
+        image.width = photo.width;
+        image.height = photo.height;
+        if (photo.thumb) image.thumbWidth = photo.thumbWidth;
+      }
+      images.push(compactImage(image));
+    });
+
+    const { date: entryDate, time, notes, ...rest } = submission.entry;
+    const entry = { date: entryDate, time, notes, images, ...kept, ...rest };
+    files.push({
+      path: entryPath(experimentId, filename),
+      content: JSON.stringify(entry, null, 2)
+    });
+
+    if (!submission.filename) {
+      files.push({
+        path: indexPath(experimentId),
+        content: JSON.stringify(index, null, 2)
+      });
+    }
+
+    if (submission.taskId) {
+      const meta = await GitHubAPI.getFileContent(token, owner, repo, metaPath(experimentId), ref);
+      const task = meta && (meta.tasks || []).find(t => t.id === submission.taskId);
+      // A late entry for an earlier date doesn't move the schedule back
+      if (task && !(task.lastDone >= date)) {
+        task.lastDone = date;
+        files.push({ path: metaPath(experimentId), content: JSON.stringify(meta, null, 2) });
+      }
+    }
+
+    return { files, filename };
+  }
+
+  /**
+   * buildDeleteFiles — remove an entry, its photos and its index line
+   *
+   * Returns the files for one commit, read as of `ref`.
+   */
+  async function buildDeleteFiles(token, owner, repo, experimentId, filename, ref) {
+    const index = await readIndex(token, owner, repo, experimentId, ref);
+    if (!index.entries.includes(filename)) {
+      throw new Error(`Entry ${filename} no longer exists.`);
+    }
+
+    const entry = await GitHubAPI.getFileContent(
+      token, owner, repo, entryPath(experimentId, filename), ref
+    );
+
+    const files = ((entry && entry.images) || [])
+      .flatMap(imageFiles)
+      .map(p => ({ path: `docs/${p}`, delete: true }));
+    files.push({ path: entryPath(experimentId, filename), delete: true });
+
+    index.entries = index.entries.filter(f => f !== filename);
+    files.push({
+      path: indexPath(experimentId),
+      content: JSON.stringify(index, null, 2)
+    });
+
+    return files;
+  }
+
+  /**
+   * buildImportFiles — many new photo-less entries for one commit
+   *
+   * entries: [{ date, time, notes, measurements }, ...] in the order they
+   * should be numbered. Filenames are picked against entries/index.json as
+   * of `ref`, the same way a single submission's is.
+   * Returns { files, filenames }.
+   */
+  async function buildImportFiles(token, owner, repo, experimentId, entries, ref) {
+    const index = await readIndex(token, owner, repo, experimentId, ref);
+    const filenames = assignFilenames(index.entries, entries.map(e => e.date));
+
+    const files = entries.map((item, i) => {
+      const { date, time, notes, ...rest } = item;
+      return {
+        path: entryPath(experimentId, filenames[i]),
+        content: JSON.stringify({ date, time, notes, images: [], ...rest }, null, 2)
+      };
+    });
+
+    index.entries.push(...filenames);
+    index.entries.sort();
+    files.push({
+      path: indexPath(experimentId),
+      content: JSON.stringify(index, null, 2)
+    });
+
+    return { files, filenames };
+  }
+
+  function commitMessage(submission) {
+    return submission.filename
+      ? `journal: ${submission.experimentId} edit entry ${submission.filename}`
+      : `journal: ${submission.experimentId} entry ${submission.date}`;
+  }
+
+  // Build and commit a submission, rebuilding from fresh HEAD if the branch moves
+  async function commitSubmission(token, owner, repo, submission, onProgress) {
+    const progress = onProgress || (() => {});
+
+    return GitHubAPI.commitFiles(token, owner, repo, commitMessage(submission), async (headSha) => {
+      progress('index', 'Checking existing entries...');
+      const { files } = await buildEntryFiles(token, owner, repo, submission, headSha);
+      return files;
+    }, onProgress);
+  }
+
+  // Commit imported entries together, renumbering from fresh HEAD if the branch moves
+  async function importEntries(token, owner, repo, experimentId, entries, onProgress) {
+    const progress = onProgress || (() => {});
+    const message = `journal: ${experimentId} import ${entries.length} entries`;
+
+    return GitHubAPI.commitFiles(token, owner, repo, message, async (headSha) => {
+      progress('index', 'Checking existing entries...');
+      const { files } = await buildImportFiles(token, owner, repo, experimentId, entries, headSha);
+      return files;
+    }, onProgress);
+  }
+
+  async function deleteEntry(token, owner, repo, experimentId, filename, onProgress) {
+    const message = `journal: ${experimentId} delete entry ${filename}`;
+    return GitHubAPI.commitFiles(token, owner, repo, message, (headSha) =>
+      buildDeleteFiles(token, owner, repo, experimentId, filename, headSha), onProgress);
+  }
+
+  self.JournalEntries = {
+    PHOTO_TAGS,
+    normalizeImage,
+    compactImage,
+    indexPath,
+    metaPath,
+    entryPath,
+    nextEntryFilename,
+    assignFilenames,
+    loadAll,
+    buildEntryFiles,
+    buildDeleteFiles,
+    buildImportFiles,
+    commitSubmission,
+    importEntries,
+    deleteEntry
+  };
+})();
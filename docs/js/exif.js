@@ -0,0 +1,152 @@
+/* exif.js — Minimal JPEG EXIF reader: orientation, capture time and camera */
+
+(function () {
+  'use strict';
+
+  // EXIF lives in an APP1 segment near the start of the file
+  const SCAN_BYTES = 256 * 1024;
+
+  const TAG_MAKE = 0x010F;
+  const TAG_MODEL = 0x0110;
+  const TAG_ORIENTATION = 0x0112;
+  const TAG_EXIF_IFD = 0x8769;
+  const TAG_DATE_TIME_ORIGINAL = 0x9003;
+  const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+  /**
+   * read — EXIF details of a photo, or null when it has none
+   *
+   * Resolves with { orientation, takenAt, make, model }. takenAt is
+   * "YYYY-MM-DDTHH:MM:SS" in the camera's local time, with its UTC offset
+   * appended when the camera recorded one. Only these tags are read — GPS
+   * and everything else is ignored, and re-encoding on a canvas drops the
+   * original EXIF block, so location never leaves the device.
+   */
+  async function read(file) {
+    try {
+      const buffer = await file.slice(0, SCAN_BYTES).arrayBuffer();
+      return parse(new DataView(buffer));
+    } catch {
+      // Truncated or malformed metadata: treat as absent
+      return null;
+    }
+  }
+
+  function parse(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) return null;
+      // Start of scan: image data follows, no more metadata
+      if (marker === 0xFFDA) return null;
+
+      const size = view.getUint16(offset + 2);
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parseTiff(view, offset + 10);
+      }
+      offset += 2 + size;
+    }
+    return null;
+  }
+
+  function parseTiff(view, start) {
+    const little = view.getUint16(start) === 0x4949;
+    if (view.getUint16(start + 2, little) !== 42) return null;
+
+    const ifd0 = readIfd(view, start, view.getUint32(start + 4, little), little);
+    const info = {
+      orientation: ifd0.has(TAG_ORIENTATION) ? view.getUint16(ifd0.get(TAG_ORIENTATION).valueAt, little) : 1,
+      takenAt: null,
+      make: readAscii(view, ifd0.get(TAG_MAKE)),
+      model: readAscii(view, ifd0.get(TAG_MODEL))
+    };
+    if (info.orientation < 1 || info.orientation > 8) info.orientation = 1;
+
+    if (ifd0.has(TAG_EXIF_IFD)) {
+      const exifOffset = view.getUint32(ifd0.get(TAG_EXIF_IFD).valueAt, little);
+      const exif = readIfd(view, start, exifOffset, little);
+      info.takenAt = toIsoDateTime(
+        readAscii(view, exif.get(TAG_DATE_TIME_ORIGINAL)),
+        readAscii(view, exif.get(TAG_OFFSET_TIME_ORIGINAL))
+      );
+    }
+
+    return info;
+  }
+
+  // Map of tag → { count, valueAt } where valueAt is an absolute offset
+  function readIfd(view, start, ifdOffset, little) {
+    const tags = new Map();
+    const base = start + ifdOffset;
+    const count = view.getUint16(base, little);
+
+    for (let i = 0; i < count; i++) {
+      const entry = base + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const n = view.getUint32(entry + 4, little);
+      // Values up to 4 bytes sit in the entry itself; larger ones are elsewhere
+      const bytes = n * (type === 3 ? 2 : type === 4 ? 4 : 1);
+      const valueAt = bytes <= 4 ? entry + 8 : start + view.getUint32(entry + 8, little);
+      tags.set(tag, { count: n, valueAt });
+    }
+    return tags;
+  }
+
+  function readAscii(view, field) {
+    if (!field) return '';
+    let str = '';
+    for (let i = 0; i < field.count; i++) {
+      const code = view.getUint8(field.valueAt + i);
+      if (code === 0) break;
+      str += String.fromCharCode(code);
+    }
+    return str.trim();
+  }
+
+  // "2026:02:11 14:32:05" (+ "+01:00") → "2026-02-11T14:32:05+01:00"
+  function toIsoDateTime(value, offset) {
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+    const [, y, mo, d, h, mi, s] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+    return `${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`;
+  }
+
+  /**
+   * summary — the subset of EXIF stored with an entry image
+   *
+   * { takenAt, camera }, each omitted when unknown.
+   */
+  function summary(info) {
+    const out = {};
+    if (!info) return out;
+    if (info.takenAt) out.takenAt = info.takenAt;
+    const camera = [info.make, info.model].filter(Boolean).join(' ');
+    if (camera) out.camera = camera;
+    return out;
+  }
+
+  /**
+   * applyOrientation — set up a canvas context so drawing the raw image at
+   * (0, 0, width, height) comes out upright
+   *
+   * The canvas must already be sized height × width for orientations 5–8.
+   */
+  function applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+  }
+
+  // Assigned to self so compress-worker.js can importScripts() this file too
+  self.Exif = { read, summary, applyOrientation };
+})();
@@ -0,0 +1,221 @@
+/* export.js — Experiment exports: CSV, JSON bundle and a printable report */
+
+(function () {
+  'use strict';
+
+  const esc = Html.escape;
+
+  // Numeric per-type action columns in the CSV, next to the readable summary
+  const ACTION_COLUMNS = [
+    { header: 'nutrient_ml', type: 'nutrient', field: 'ml' },
+    { header: 'ph_up_ml', type: 'ph-up', field: 'ml' },
+    { header: 'ph_down_ml', type: 'ph-down', field: 'ml' },
+    { header: 'top_up_litres', type: 'top-up', field: 'litres' },
+    { header: 'reservoir_change_litres', type: 'reservoir-change', field: 'litres' }
+  ];
+
+  function csvCell(value) {
+    if (value == null) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function sumActions(actions, type, field) {
+    const matching = (actions || []).filter(a => a.type === type);
+    if (matching.length === 0) return '';
+    return matching.reduce((sum, a) => sum + (a[field] || 0), 0);
+  }
+
+  function sumHarvest(observations) {
+    const harvests = (observations || []).filter(o => o.harvestG != null);
+    return harvests.length ? harvests.reduce((sum, o) => sum + o.harvestG, 0) : '';
+  }
+
+  /**
+   * csv — one row per entry, oldest first
+   *
+   * Measurement columns use the definition keys (ph, ec, …) so the file can
+   * be fed straight back into the CSV import. plants (from meta.json) name
+   * the plants in the observations column.
+   */
+  function csv(entries, defs, plants) {
+    const header = [
+      'date', 'time', 'entry', 'notes',
+      ...defs.map(d => d.key),
+      'actions',
+      ...ACTION_COLUMNS.map(c => c.header),
+      'observations',
+      'harvest_g',
+      'photos'
+    ];
+
+    const rows = entries.map(entry => {
+      const m = entry.measurements || {};
+      return [
+        entry.date,
+        entry.time || '',
+        entry._file || '',
+        entry.notes || '',
+        ...defs.map(d => m[d.key]),
+        (entry.actions || []).map(EntryActions.describe).join('; '),
+        ...ACTION_COLUMNS.map(c => sumActions(entry.actions, c.type, c.field)),
+        (entry.observations || []).map(o => `${Plants.label(plants, o.plant)}: ${Plants.describe(o)}`).join('; '),
+        sumHarvest(entry.observations),
+        (entry.images || []).length
+      ];
+    });
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Everything needed to rebuild the experiment elsewhere
+  function bundle(exp, meta, entries) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      experiment: exp,
+      meta: meta || null,
+      entries: entries.map(({ _file, ...entry }) => ({ file: _file, ...entry }))
+    }, null, 2);
+  }
+
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ── Printable report ────────────────────────────────
+
+  function longDate(date) {
+    return new Date(date + 'T00:00:00')
+      .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  const REPORT_CSS = `
+    body { font: 14px/1.45 system-ui, sans-serif; color: #222; margin: 2rem; }
+    h1 { margin: 0 0 0.25rem; color: #1b5e20; }
+    h2 { margin: 2rem 0 0.5rem; font-size: 1.1rem; border-bottom: 2px solid #2d8a4e; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 1rem; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    table { border-collapse: collapse; }
+    td, th { padding: 0.2rem 0.75rem 0.2rem 0; text-align: left; }
+    .chart { max-width: 100%; }
+    .entry { padding: 0.75rem 0; border-bottom: 1px solid #ddd; break-inside: avoid; }
+    .entry-head { font-weight: 600; }
+    .values { color: #444; font-size: 0.9em; }
+    .flag { color: #c62828; font-weight: 600; }
+    .notes { white-space: pre-wrap; margin: 0.25rem 0; }
+    .thumbs { display: flex; flex-wrap: wrap; gap: 0.4rem; }
+    .thumbs img { width: 110px; height: 110px; object-fit: cover; border-radius: 4px; }
+    .muted { color: #777; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } }
+  `;
+
+  /**
+   * report — standalone HTML for the browser's print dialog (or "Save as PDF")
+   *
+   * data: { exp, meta, entries (oldest first), defs, targets, chartImage,
+   *         baseUrl } — chartImage is a data: URL of the rendered chart,
+   * baseUrl the site root so photo paths resolve in the new window.
+   */
+  function report(data) {
+    const { exp, meta, entries, defs, targets, chartImage, baseUrl } = data;
+    const m = meta || {};
+    const totals = EntryActions.totals(entries);
+    const plants = m.plants || [];
+    const yieldG = Plants.summarize(entries).yieldG;
+
+    const details = [
+      ['Status', exp.status],
+      ['Started', exp.startDate ? longDate(exp.startDate) : ''],
+      ['Ended', exp.endDate ? longDate(exp.endDate) : ''],
+      ['System', m.system],
+      ['Plants', plants.map(p => `${p.variety || p.id}${p.count > 1 ? ` ×${p.count}` : ''}`).join(', ')],
+      ['Nutrients', m.nutrients],
+      ['Total yield', yieldG ? `${Math.round(yieldG * 10) / 10} g` : ''],
+      ['Entries', String(entries.length)]
+    ].filter(([, v]) => v);
+
+    const targetRows = defs
+      .filter(d => targets[d.key])
+      .map(d => `<tr><td>${esc(Measurements.labelWithUnit(d))}</td><td>${esc(Measurements.formatTarget(targets[d.key]))}</td></tr>`)
+      .join('');
+
+    const nutrientRows = Object.entries(totals.nutrients)
+      .map(([product, ml]) => `<tr><td>${esc(product)}</td><td>${ml} ml</td></tr>`)
+      .join('');
+
+    const timeline = [...entries].reverse().map(entry => {
+      const values = defs
+        .filter(d => entry.measurements && entry.measurements[d.key] != null)
+        .map(d => {
+          const value = entry.measurements[d.key];
+          const status = Measurements.targetStatus(targets, d.key, value);
+          const text = `${esc(d.label)} ${Measurements.format(d, value)}${d.unit ? ` ${esc(d.unit)}` : ''}`;
+          return status ? `<span class="flag">${text} (${status})</span>` : text;
+        })
+        .join(' · ');
+      const actions = (entry.actions || []).map(a => esc(EntryActions.describe(a))).join(' · ');
+      const observations = (entry.observations || [])
+        .map(o => `${esc(Plants.label(plants, o.plant))}: ${esc(Plants.describe(o))}`)
+        .join(' · ');
+      const thumbs = (entry.images || [])
+        .map(img => `<img src="${esc(img.thumb || img.path)}" alt="${esc(img.caption || 'Photo')}">`)
+        .join('');
+
+      return `
+        <div class="entry">
+          <div class="entry-head">${longDate(entry.date)}${entry.time ? ` ${esc(entry.time)}` : ''}</div>
+          ${values ? `<div class="values">${values}</div>` : ''}
+          ${actions ? `<div class="values">${actions}</div>` : ''}
+          ${observations ? `<div class="values">${observations}</div>` : ''}
+          ${entry.notes ? `<p class="notes">${esc(entry.notes)}</p>` : ''}
+          ${thumbs ? `<div class="thumbs">${thumbs}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <base href="${esc(baseUrl)}">
+  <title>${esc(exp.name)} — Hydro Journal report</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <h1>${esc(exp.name)}</h1>
+  <p>${esc(exp.description)}</p>
+  <dl>${details.map(([k, v]) => `<dt>${k}</dt><dd>${esc(v)}</dd>`).join('')}</dl>
+
+  ${targetRows ? `<h2>Target ranges</h2><table>${targetRows}</table>` : ''}
+
+  ${nutrientRows || totals.reservoirChanges ? `
+    <h2>Reservoir totals</h2>
+    <table>
+      ${nutrientRows}
+      ${totals.phUp ? `<tr><td>pH up</td><td>${totals.phUp} ml</td></tr>` : ''}
+      ${totals.phDown ? `<tr><td>pH down</td><td>${totals.phDown} ml</td></tr>` : ''}
+      ${totals.topUp ? `<tr><td>Top-ups</td><td>${totals.topUp} L</td></tr>` : ''}
+      ${totals.reservoirChanges ? `<tr><td>Reservoir changes</td><td>${totals.reservoirChanges}</td></tr>` : ''}
+    </table>
+  ` : ''}
+
+  ${chartImage ? `<h2>Measurements</h2><img class="chart" src="${chartImage}" alt="Measurements chart">` : ''}
+
+  <h2>Timeline</h2>
+  ${timeline || '<p class="muted">No entries.</p>'}
+
+  <p class="muted">Exported ${esc(new Date().toLocaleString())}</p>
+</body>
+</html>`;
+  }
+
+  window.JournalExport = { csv, bundle, report, download };
+})();
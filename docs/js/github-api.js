@@ -5,6 +5,13 @@
 
   const API = 'https://api.github.com';
 
+  // How often commitFiles rebuilds and retries when the branch moved
+  const MAX_COMMIT_ATTEMPTS = 4;
+  const RETRY_DELAY_MS = 500;
+
+  // Blob uploads in flight at once
+  const BLOB_CONCURRENCY = 3;
+
   function headers(token) {
     return {
       Authorization: `Bearer ${token}`,
@@ -13,18 +20,68 @@
     };
   }
 
+  // Tagged so callers can tell "no connection" from API errors and code bugs
+  function networkError() {
+    const err = new Error('Network request failed');
+    err.offline = true;
+    return err;
+  }
+
+  function isNetworkError(err) {
+    return !!(err && err.offline);
+  }
+
   async function apiRequest(token, endpoint, opts = {}) {
-    const res = await fetch(API + endpoint, {
-      ...opts,
-      headers: { ...headers(token), ...(opts.headers || {}) }
-    });
+    let res;
+    try {
+      res = await fetch(API + endpoint, {
+        // Never serve refs or file contents from the HTTP cache: a stale HEAD
+        // makes every retry in commitFiles fail the same way.
+        cache: 'no-store',
+        ...opts,
+        headers: { ...headers(token), ...(opts.headers || {}) }
+      });
+    } catch {
+      // fetch() only rejects when the request never got a response
+      throw networkError();
+    }
     if (!res.ok) {
       const body = await res.text();
-      throw new Error(`GitHub API ${res.status}: ${body}`);
+      const err = new Error(`GitHub API ${res.status}: ${body}`);
+      err.status = res.status;
+      throw err;
     }
     return res.json();
   }
 
+  /**
+   * xhrRequest — POST like apiRequest, reporting upload progress
+   *
+   * fetch() can't report upload progress, so pages use XMLHttpRequest.
+   * Network failures reject with the same tagged error as apiRequest.
+   */
+  function xhrRequest(token, endpoint, body, onUpload) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', API + endpoint);
+      Object.entries(headers(token)).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onUpload(e.loaded, e.total);
+      });
+      xhr.addEventListener('load', () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(JSON.parse(xhr.responseText));
+          return;
+        }
+        const err = new Error(`GitHub API ${xhr.status}: ${xhr.responseText}`);
+        err.status = xhr.status;
+        reject(err);
+      });
+      xhr.addEventListener('error', () => reject(networkError()));
+      xhr.send(body);
+    });
+  }
+
   // Get the SHA of the latest commit on a branch
   async function getRef(token, owner, repo, branch = 'main') {
     const data = await apiRequest(token, `/repos/${owner}/${repo}/git/ref/heads/${branch}`);
@@ -36,12 +93,15 @@
     return apiRequest(token, `/repos/${owner}/${repo}/git/commits/${commitSha}`);
   }
 
-  // Create a blob (base64 for binary, utf-8 for text)
-  async function createBlob(token, owner, repo, content, encoding = 'utf-8') {
-    return apiRequest(token, `/repos/${owner}/${repo}/git/blobs`, {
-      method: 'POST',
-      body: JSON.stringify({ content, encoding })
-    });
+  // Create a blob (base64 for binary, utf-8 for text). onUpload(loaded, total)
+  // is only called where XMLHttpRequest exists (not in the service worker).
+  async function createBlob(token, owner, repo, content, encoding = 'utf-8', onUpload) {
+    const endpoint = `/repos/${owner}/${repo}/git/blobs`;
+    const body = JSON.stringify({ content, encoding });
+    if (onUpload && typeof XMLHttpRequest !== 'undefined') {
+      return xhrRequest(token, endpoint, body, onUpload);
+    }
+    return apiRequest(token, endpoint, { method: 'POST', body });
   }
 
   // Create a new tree with the given file entries
@@ -75,21 +135,45 @@
     });
   }
 
-  // Fetch a file's content from the repo (for reading existing JSON)
-  async function getFileContent(token, owner, repo, path, branch = 'main') {
+  // atob() gives one character per byte; the files are UTF-8 ("°C", "µS", "é")
+  function decodeBase64Utf8(base64) {
+    const binary = atob(base64.replace(/\n/g, ''));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  // Fetch a file's content from the repo (for reading existing JSON).
+  // ref may be a branch name or a commit SHA.
+  async function getFileContent(token, owner, repo, path, ref = 'main') {
     try {
       const data = await apiRequest(
         token,
-        `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${branch}`
+        `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${ref}`
       );
       // Content is base64-encoded
-      return JSON.parse(atob(data.content.replace(/\n/g, '')));
+      return JSON.parse(decodeBase64Utf8(data.content));
     } catch (err) {
-      if (err.message.includes('404')) return null;
+      if (err.status === 404) return null;
       throw err;
     }
   }
 
+  // Run fn over items with at most `limit` in flight; rejects on the first failure
+  async function mapLimit(items, limit, fn) {
+    let next = 0;
+    const run = async () => {
+      while (next < items.length) {
+        await fn(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  }
+
+  // updateRef without force is rejected when someone else moved the branch
+  function isNonFastForward(err) {
+    return err.status === 422 || err.status === 409;
+  }
+
   /**
    * commitFiles — high-level orchestrator for atomic multi-file commits
    *
@@ -97,49 +181,89 @@
    * @param {string} owner     Repo owner
    * @param {string} repo      Repo name
    * @param {string} message   Commit message
-   * @param {Array}  files     Array of { path, content, encoding }
-   *                           encoding: 'utf-8' for text, 'base64' for binary
-   * @param {function} onProgress  Optional callback(step, message)
+   * @param {Array|function} files
+   *                           Array of { path, content, encoding }
+   *                           encoding: 'utf-8' for text, 'base64' for binary.
+   *                           { path, delete: true } removes a file.
+   *                           Or an async function(headSha) returning that array,
+   *                           built from the repo as of headSha. When the branch
+   *                           moves underneath us the function is called again
+   *                           against the new HEAD and the commit retried.
+   * @param {function} onProgress  Optional callback(step, message, detail).
+   *                           While uploading, step 'blob' fires per file with
+   *                           detail { path, loaded, total, percent }.
    */
   async function commitFiles(token, owner, repo, message, files, onProgress) {
     const progress = onProgress || (() => {});
+    const rebuild = typeof files === 'function' ? files : null;
+    const maxAttempts = rebuild ? MAX_COMMIT_ATTEMPTS : 1;
+
+    // Blobs are content-addressed, so rebuilt files with unchanged content
+    // (photos, mostly) don't need uploading again.
+    const blobShas = new Map();
 
-    // 1. Get current HEAD
-    progress('ref', 'Getting current branch...');
-    const headSha = await getRef(token, owner, repo);
-    const headCommit = await getCommit(token, owner, repo, headSha);
-    const baseTreeSha = headCommit.tree.sha;
-
-    // 2. Create blobs for each file
-    progress('blobs', `Creating ${files.length} file(s)...`);
-    const treeEntries = [];
-    for (const file of files) {
-      const blob = await createBlob(token, owner, repo, file.content, file.encoding || 'utf-8');
-      treeEntries.push({
+    for (let attempt = 1; ; attempt++) {
+      // 1. Get current HEAD
+      progress('ref', 'Getting current branch...');
+      const headSha = await getRef(token, owner, repo);
+      const headCommit = await getCommit(token, owner, repo, headSha);
+      const baseTreeSha = headCommit.tree.sha;
+
+      const attemptFiles = rebuild ? await rebuild(headSha) : files;
+
+      // 2. Create blobs for each file, a few at a time
+      const blobKey = (file) => `${file.encoding || 'utf-8'}:${file.content}`;
+      const pending = new Map();
+      attemptFiles.forEach(file => {
+        if (!file.delete && !blobShas.has(blobKey(file))) pending.set(blobKey(file), file);
+      });
+
+      progress('blobs', `Uploading ${pending.size} file(s)...`);
+      await mapLimit([...pending.entries()], BLOB_CONCURRENCY, async ([key, file]) => {
+        const name = file.path.split('/').pop();
+        const report = (loaded, total) => {
+          const percent = total ? Math.round(loaded / total * 100) : 100;
+          progress('blob', `Uploading ${name} — ${percent}%`, { path: file.path, loaded, total, percent });
+        };
+        report(0, file.content.length);
+        const blob = await createBlob(token, owner, repo, file.content, file.encoding || 'utf-8', report);
+        blobShas.set(key, blob.sha);
+        report(file.content.length, file.content.length);
+      });
+
+      const treeEntries = attemptFiles.map(file => ({
         path: file.path,
         mode: '100644',
         type: 'blob',
-        sha: blob.sha
-      });
-    }
+        sha: file.delete ? null : blobShas.get(blobKey(file))
+      }));
 
-    // 3. Create tree
-    progress('tree', 'Building commit tree...');
-    const newTree = await createTree(token, owner, repo, baseTreeSha, treeEntries);
+      // 3. Create tree
+      progress('tree', 'Building commit tree...');
+      const newTree = await createTree(token, owner, repo, baseTreeSha, treeEntries);
 
-    // 4. Create commit
-    progress('commit', 'Creating commit...');
-    const newCommit = await createCommitObj(token, owner, repo, message, newTree.sha, headSha);
+      // 4. Create commit
+      progress('commit', 'Creating commit...');
+      const newCommit = await createCommitObj(token, owner, repo, message, newTree.sha, headSha);
 
-    // 5. Update ref
-    progress('update', 'Updating branch...');
-    await updateRef(token, owner, repo, 'main', newCommit.sha);
+      // 5. Update ref
+      progress('update', 'Updating branch...');
+      try {
+        await updateRef(token, owner, repo, 'main', newCommit.sha);
+      } catch (err) {
+        if (!isNonFastForward(err) || attempt >= maxAttempts) throw err;
+        progress('retry', `Branch changed while committing, retrying (${attempt + 1}/${maxAttempts})...`);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+        continue;
+      }
 
-    progress('done', 'Committed successfully!');
-    return newCommit;
+      progress('done', 'Committed successfully!');
+      return newCommit;
+    }
   }
 
-  window.GitHubAPI = {
+  // Assigned to self so the service worker can importScripts() this file too
+  self.GitHubAPI = {
     getRef,
     getCommit,
     createBlob,
@@ -147,6 +271,7 @@
     createCommit: createCommitObj,
     updateRef,
     getFileContent,
-    commitFiles
+    commitFiles,
+    isNetworkError
   };
 })();
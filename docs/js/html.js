@@ -0,0 +1,14 @@
+/* html.js — Escaping for text put into HTML templates, shared by every page */
+
+(function () {
+  'use strict';
+
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  // Safe in text and in quoted attributes; null/undefined become ''
+  function escape(str) {
+    return String(str == null ? '' : str).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+  }
+
+  window.Html = { escape };
+})();
@@ -0,0 +1,104 @@
+/* image-pipeline.js — Resize and encode photos, shared by the page and the compression worker */
+
+(function () {
+  'use strict';
+
+  // Encoders to try for each ImageSettings format, best first; JPEG always works
+  const OUTPUT_FORMATS = {
+    avif: { type: 'image/avif', ext: 'avif' },
+    webp: { type: 'image/webp', ext: 'webp' },
+    jpeg: { type: 'image/jpeg', ext: 'jpg' }
+  };
+  const FORMAT_FALLBACKS = {
+    auto: ['avif', 'webp', 'jpeg'],
+    avif: ['avif', 'webp', 'jpeg'],
+    webp: ['webp', 'jpeg'],
+    jpeg: ['jpeg']
+  };
+
+  // OffscreenCanvas in the worker (and on pages that have it), <canvas> otherwise
+  function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // Draw the decoded photo with its longest side at most maxDimension
+  function drawScaled(decoded, maxDimension) {
+    const { source } = decoded;
+    let { width, height } = source;
+    if (width > maxDimension || height > maxDimension) {
+      if (width > height) {
+        height = Math.round(height * maxDimension / width);
+        width = maxDimension;
+      } else {
+        width = Math.round(width * maxDimension / height);
+        height = maxDimension;
+      }
+    }
+
+    // Orientations 5–8 swap the sides
+    const swap = decoded.orientation >= 5;
+    const canvas = createCanvas(swap ? height : width, swap ? width : height);
+    const ctx = canvas.getContext('2d');
+    Exif.applyOrientation(ctx, decoded.orientation, width, height);
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+  }
+
+  async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    // Chunked: String.fromCharCode(...bytes) overflows the stack on big photos
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // Browsers that can't encode a type silently return PNG, so check what came back
+  async function encodeCanvas(canvas, format, quality) {
+    for (const name of FORMAT_FALLBACKS[format] || FORMAT_FALLBACKS.jpeg) {
+      const { type, ext } = OUTPUT_FORMATS[name];
+      if (canvas.convertToBlob) {
+        const blob = await canvas.convertToBlob({ type, quality });
+        if (blob.type === type) return { format: name, type, ext, data: await blobToBase64(blob) };
+      } else {
+        const dataUrl = canvas.toDataURL(type, quality);
+        if (dataUrl.startsWith(`data:${type}`)) return { format: name, type, ext, data: dataUrl.split(',')[1] };
+      }
+    }
+    throw new Error('This browser cannot encode JPEG images');
+  }
+
+  /**
+   * compress — full-size and thumbnail variants of a decoded photo
+   *
+   * decoded is { source, orientation } — an ImageBitmap or <img> plus the
+   * EXIF rotation still to apply. settings comes from ImageSettings.get().
+   * Re-encoding drops the original EXIF, GPS included. Resolves with
+   *   { data, type, ext, width, height, thumb, thumbWidth }
+   * where data and thumb are base64 without the data: prefix.
+   */
+  async function compress(decoded, settings) {
+    const fullCanvas = drawScaled(decoded, settings.maxDimension);
+    const full = await encodeCanvas(fullCanvas, settings.format, settings.quality);
+    const thumbCanvas = drawScaled(decoded, settings.thumbDimension);
+    const thumb = await encodeCanvas(thumbCanvas, full.format, settings.quality);
+
+    return {
+      data: full.data,
+      type: full.type,
+      ext: full.ext,
+      width: fullCanvas.width,
+      height: fullCanvas.height,
+      thumb: thumb.data,
+      thumbWidth: thumbCanvas.width
+    };
+  }
+
+  // Assigned to self so compress-worker.js can importScripts() this file too
+  self.ImagePipeline = { compress };
+})();
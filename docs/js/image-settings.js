@@ -0,0 +1,55 @@
+/* image-settings.js — Photo output settings (format, size, quality) via localStorage */
+
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'hydro_journal_image_settings';
+
+  const DEFAULTS = {
+    // 'auto' tries AVIF, then WebP, then JPEG — whatever this browser can encode
+    format: 'auto',
+    maxDimension: 1200,
+    thumbDimension: 320,
+    quality: 0.8
+  };
+
+  const FORMATS = ['auto', 'avif', 'webp', 'jpeg'];
+
+  function clamp(value, min, max, fallback) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  }
+
+  const ImageSettings = {
+    DEFAULTS,
+    FORMATS,
+
+    get() {
+      let stored = {};
+      try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      } catch {
+        stored = {};
+      }
+      return {
+        format: FORMATS.includes(stored.format) ? stored.format : DEFAULTS.format,
+        maxDimension: Math.round(clamp(stored.maxDimension, 400, 4000, DEFAULTS.maxDimension)),
+        thumbDimension: Math.round(clamp(stored.thumbDimension, 80, 800, DEFAULTS.thumbDimension)),
+        quality: clamp(stored.quality, 0.3, 1, DEFAULTS.quality)
+      };
+    },
+
+    save(settings) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...this.get(), ...settings }));
+      return this.get();
+    },
+
+    reset() {
+      localStorage.removeItem(STORAGE_KEY);
+      return this.get();
+    }
+  };
+
+  window.ImageSettings = ImageSettings;
+})();
@@ -0,0 +1,570 @@
+/* import.js — Import historical readings from CSV into journal entries */
+
+(function () {
+  'use strict';
+
+  const $ = (sel, el) => (el || document).querySelector(sel);
+  const $$ = (sel, el) => [...(el || document).querySelectorAll(sel)];
+  const esc = Html.escape;
+
+  const SAMPLE_ROWS = 3;
+
+  // Parsed file: { headers: [...], rows: [[...], ...] }
+  let table = null;
+  // Column index → target: '', 'date', 'time', 'notes' or 'm:<measurement key>'
+  let mapping = [];
+  let measurementDefs = [];
+  // Committed entry filenames of the selected experiment
+  let existingFiles = [];
+  // Entries the preview would create, ready to commit
+  let planned = [];
+
+  // ── Init ────────────────────────────────────────────
+
+  function init() {
+    updateAuthStatus();
+    loadExperimentDropdown();
+
+    $('#experiment-select').addEventListener('change', onExperimentChange);
+    $('#csv-file').addEventListener('change', onFileSelected);
+    $('#date-order').addEventListener('change', renderPreview);
+    $('#skip-existing-dates').addEventListener('change', renderPreview);
+    $('#import-form').addEventListener('submit', onImport);
+  }
+
+  function updateAuthStatus() {
+    const statusEl = $('#auth-status');
+    if (Auth.isConfigured()) {
+      statusEl.innerHTML = '<span class="alert alert-success">Connected to GitHub</span>';
+    } else {
+      statusEl.innerHTML = '<span class="alert alert-error">Not connected. <a href="settings.html">Configure your token</a></span>';
+    }
+  }
+
+  async function loadExperimentDropdown() {
+    const select = $('#experiment-select');
+
+    try {
+      const res = await fetch('./data/experiments.json');
+      if (!res.ok) throw new Error('Failed to load');
+      const data = await res.json();
+      const experiments = data.experiments || [];
+
+      select.innerHTML = '<option value="">Select experiment...</option>' +
+        experiments.map(e =>
+          `<option value="${esc(e.id)}">${esc(e.name)} (${e.status})</option>`
+        ).join('');
+    } catch (err) {
+      select.innerHTML = '<option value="">Error loading experiments</option>';
+      return;
+    }
+
+    // import.html?experiment=<id> preselects
+    const preset = new URLSearchParams(window.location.search).get('experiment');
+    if (preset && [...select.options].some(o => o.value === preset)) {
+      select.value = preset;
+      onExperimentChange();
+    }
+  }
+
+  // ── Experiment ──────────────────────────────────────
+
+  async function onExperimentChange() {
+    const experimentId = $('#experiment-select').value;
+    existingFiles = [];
+    measurementDefs = [];
+
+    if (experimentId) {
+      [measurementDefs, existingFiles] = await Promise.all([
+        Measurements.load(experimentId),
+        loadExistingFiles(experimentId)
+      ]);
+    }
+
+    if (table) {
+      mapping = guessMapping(table.headers);
+      renderMapping();
+    }
+    renderPreview();
+  }
+
+  // Prefer the API (Pages can lag a few minutes behind the last commit)
+  async function loadExistingFiles(experimentId) {
+    try {
+      if (Auth.isConfigured() && navigator.onLine) {
+        const index = await GitHubAPI.getFileContent(
+          Auth.getToken(), Auth.getOwner(), Auth.getRepo(),
+          JournalEntries.indexPath(experimentId)
+        );
+        return (index && index.entries) || [];
+      }
+      const res = await fetch(`./data/experiments/${experimentId}/entries/index.json`);
+      if (!res.ok) return [];
+      return (await res.json()).entries || [];
+    } catch {
+      return [];
+    }
+  }
+
+  // ── CSV Parsing ─────────────────────────────────────
+
+  async function onFileSelected(e) {
+    const file = e.target.files[0];
+    table = null;
+    if (!file) {
+      renderMapping();
+      renderPreview();
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      table = parseCsv(text);
+      if (table.headers.length === 0) throw new Error('The file is empty.');
+    } catch (err) {
+      table = null;
+      showError(`Could not read ${file.name}: ${err.message}`);
+      renderMapping();
+      renderPreview();
+      return;
+    }
+
+    $('#file-summary').textContent =
+      `${file.name}: ${table.rows.length} row(s), ${table.headers.length} column(s).`;
+    mapping = guessMapping(table.headers);
+    $('#date-order').value = guessDateOrder();
+    renderMapping();
+    renderPreview();
+  }
+
+  // The separator that splits the header line into the most columns
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t']
+      .map(d => [d, firstLine.split(d).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * parseCsv — RFC 4180 style: quoted fields may contain the delimiter,
+   * newlines and doubled quotes
+   *
+   * Returns { headers, rows, delimiter }, skipping blank lines.
+   */
+  function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(clean);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < clean.length; i++) {
+      const ch = clean[i];
+      if (quoted) {
+        if (ch === '"' && clean[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && clean[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonBlank = records.filter(r => r.some(cell => cell.trim() !== ''));
+    const [headers = [], ...rows] = nonBlank;
+    return { headers: headers.map(h => h.trim()), rows, delimiter };
+  }
+
+  // ── Column Mapping ──────────────────────────────────
+
+  function normalizeHeader(str) {
+    return str.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]/g, '');
+  }
+
+  // Map headers by name: date/time/notes, then measurement keys and labels
+  function guessMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+      const h = normalizeHeader(header);
+      let target = '';
+
+      if (['date', 'day', 'datetime', 'timestamp'].includes(h)) target = 'date';
+      else if (h === 'time') target = 'time';
+      else if (['notes', 'note', 'comment', 'comments', 'remarks'].includes(h)) target = 'notes';
+      else {
+        const def = measurementDefs.find(d =>
+          normalizeHeader(d.key) === h || normalizeHeader(d.label) === h
+        );
+        if (def) target = `m:${def.key}`;
+      }
+
+      // Notes may come from several columns; everything else from one
+      if (target && target !== 'notes' && used.has(target)) target = '';
+      if (target) used.add(target);
+      return target;
+    });
+  }
+
+  function renderMapping() {
+    const section = $('#mapping-section');
+    section.classList.toggle('hidden', !table);
+    if (!table) return;
+
+    const options = [
+      ['', 'Ignore'],
+      ['date', 'Date (or date and time)'],
+      ['time', 'Time'],
+      ['notes', 'Notes'],
+      ...measurementDefs.map(d => [`m:${d.key}`, Measurements.labelWithUnit(d)])
+    ];
+
+    $('#mapping-table tbody').innerHTML = table.headers.map((header, i) => {
+      const samples = table.rows.slice(0, SAMPLE_ROWS).map(r => r[i] || '').filter(Boolean);
+      return `
+        <tr>
+          <td><strong>${esc(header || `Column ${i + 1}`)}</strong></td>
+          <td class="import-samples">${samples.map(esc).join('<br>')}</td>
+          <td>
+            <select data-column="${i}">
+              ${options.map(([value, label]) =>
+                `<option value="${value}"${mapping[i] === value ? ' selected' : ''}>${esc(label)}</option>`
+              ).join('')}
+            </select>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    $$('#mapping-table select').forEach(select => {
+      select.addEventListener('change', () => {
+        mapping[parseInt(select.dataset.column)] = select.value;
+        renderPreview();
+      });
+    });
+  }
+
+  // ── Dates & Numbers ─────────────────────────────────
+
+  // 3/4/2026: if any date's first part is over 12 it must be the day
+  function guessDateOrder() {
+    const dateColumn = mapping.indexOf('date');
+    if (dateColumn === -1) return 'dmy';
+
+    for (const row of table.rows) {
+      const match = (row[dateColumn] || '').trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/);
+      if (!match) continue;
+      if (parseInt(match[1]) > 12) return 'dmy';
+      if (parseInt(match[2]) > 12) return 'mdy';
+    }
+    return 'dmy';
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  /**
+   * parseDate — "2026-03-04", "2026/3/4", "04/03/2026", "4.3.26", optionally
+   * followed by a time, to { date: "YYYY-MM-DD", time: "HH:MM" or '' }
+   *
+   * Returns null when the value isn't a real calendar date.
+   */
+  function parseDate(raw, order) {
+    const value = (raw || '').trim();
+    let y, m, d;
+
+    let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) {
+      [, y, m, d] = match.map(Number);
+    } else {
+      match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+      if (!match) return null;
+      const [, a, b, year] = match.map(Number);
+      [d, m] = order === 'mdy' ? [b, a] : [a, b];
+      y = year < 100 ? 2000 + year : year;
+    }
+
+    const check = new Date(Date.UTC(y, m - 1, d));
+    if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) {
+      return null;
+    }
+
+    return {
+      date: `${y}-${pad(m)}-${pad(d)}`,
+      time: parseTime(value.slice(match[0].length)) || ''
+    };
+  }
+
+  // "14:05", "14:05:30", "2:05 PM", "T14:05" → "14:05"; null if none
+  function parseTime(raw) {
+    const match = (raw || '').match(/(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap]\.?m\.?)?/i);
+    if (!match) return null;
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3] && match[3][0].toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return `${pad(hours)}:${pad(minutes)}`;
+  }
+
+  // "6.1", "6,1" (decimal comma) and "1,234.5" all read as numbers
+  function parseNumber(raw) {
+    let value = (raw || '').trim();
+    if (value === '') return null;
+    if (/^-?\d+,\d+$/.test(value)) value = value.replace(',', '.');
+    else value = value.replace(/,/g, '');
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+  }
+
+  // ── Preview ─────────────────────────────────────────
+
+  /**
+   * buildEntries — turn the mapped rows into entries plus per-row problems
+   *
+   * Returns [{ row, entry, problems: [...], skipped }]; rows without a valid
+   * date are skipped, out-of-range or unreadable values are dropped.
+   */
+  function buildEntries() {
+    const order = $('#date-order').value;
+    const skipExisting = $('#skip-existing-dates').checked;
+    const existingDates = new Set(existingFiles.map(f => f.slice(0, 10)));
+    const column = (target) => mapping.indexOf(target);
+
+    return table.rows.map((row, i) => {
+      const problems = [];
+      const parsed = parseDate(row[column('date')], order);
+      if (!parsed) {
+        return { row: i + 2, problems: [`Unreadable date "${row[column('date')] || ''}"`], skipped: true };
+      }
+      if (skipExisting && existingDates.has(parsed.date)) {
+        return { row: i + 2, problems: ['Date already has an entry'], skipped: true };
+      }
+
+      let time = parsed.time;
+      if (column('time') !== -1) {
+        const raw = row[column('time')] || '';
+        time = parseTime(raw) || time;
+        if (raw.trim() && !parseTime(raw)) problems.push(`Unreadable time "${raw}"`);
+      }
+
+      const notes = mapping
+        .map((target, c) => target === 'notes' ? (row[c] || '').trim() : '')
+        .filter(Boolean)
+        .join('\n');
+
+      const measurements = {};
+      measurementDefs.forEach(def => {
+        const c = column(`m:${def.key}`);
+        if (c === -1) return;
+        const value = parseNumber(row[c]);
+        if (value == null) return;
+        if (Number.isNaN(value)) {
+          problems.push(`${def.label}: "${row[c]}" is not a number`);
+        } else if (!Measurements.inRange(def, value)) {
+          problems.push(`${def.label} ${value} is outside ${def.min}–${def.max}`);
+        } else {
+          measurements[def.key] = value;
+        }
+      });
+
+      if (!notes && Object.keys(measurements).length === 0) {
+        return { row: i + 2, problems: [...problems, 'No notes or measurements'], skipped: true };
+      }
+
+      return { row: i + 2, entry: { date: parsed.date, time, notes, measurements }, problems, skipped: false };
+    });
+  }
+
+  function renderPreview() {
+    const section = $('#preview-section');
+    const importBtn = $('#import-btn');
+    planned = [];
+
+    const ready = table && $('#experiment-select').value && mapping.includes('date');
+    section.classList.toggle('hidden', !ready);
+    importBtn.disabled = true;
+
+    if (!ready) {
+      if (table && !mapping.includes('date')) showError('Choose which column holds the date.');
+      else clearStatus();
+      return;
+    }
+    clearStatus();
+
+    const results = buildEntries();
+    const accepted = results.filter(r => !r.skipped);
+    // Number rows in date order, as if they'd been submitted one by one
+    accepted.sort((a, b) =>
+      (a.entry.date + a.entry.time).localeCompare(b.entry.date + b.entry.time) || a.row - b.row
+    );
+    const filenames = JournalEntries.assignFilenames(existingFiles, accepted.map(r => r.entry.date));
+    accepted.forEach((r, i) => { r.filename = filenames[i]; });
+    planned = accepted.map(r => r.entry);
+
+    const existingDates = new Set(existingFiles.map(f => f.slice(0, 10)));
+    const collisions = accepted.filter(r => existingDates.has(r.entry.date)).length;
+    const skipped = results.length - accepted.length;
+    const usedDefs = measurementDefs.filter(d => mapping.includes(`m:${d.key}`));
+
+    $('#preview-summary').innerHTML = [
+      `<strong>${accepted.length}</strong> entr${accepted.length === 1 ? 'y' : 'ies'} will be created`,
+      collisions ? `${collisions} on dates that already have an entry (numbered after them)` : '',
+      skipped ? `${skipped} row(s) skipped` : ''
+    ].filter(Boolean).join(' &middot; ');
+
+    const rows = [...accepted, ...results.filter(r => r.skipped)];
+    $('#preview-table').innerHTML = `
+      <thead>
+        <tr>
+          <th>Row</th><th>File</th><th>Time</th>
+          ${usedDefs.map(d => `<th>${esc(d.label)}</th>`).join('')}
+          <th>Notes</th><th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(r => renderPreviewRow(r, usedDefs, existingDates)).join('')}
+      </tbody>
+    `;
+
+    importBtn.disabled = accepted.length === 0;
+    importBtn.textContent = `Import ${accepted.length} Entr${accepted.length === 1 ? 'y' : 'ies'}`;
+  }
+
+  function renderPreviewRow(r, defs, existingDates) {
+    if (r.skipped) {
+      return `
+        <tr class="import-skipped">
+          <td>${r.row}</td>
+          <td colspan="${defs.length + 3}">Skipped</td>
+          <td>${r.problems.map(esc).join('<br>')}</td>
+        </tr>
+      `;
+    }
+
+    const { entry } = r;
+    const collides = existingDates.has(entry.date);
+    const notes = entry.notes.length > 60 ? entry.notes.slice(0, 60) + '…' : entry.notes;
+    return `
+      <tr>
+        <td>${r.row}</td>
+        <td${collides ? ' class="import-collision" title="This date already has an entry"' : ''}>${esc(r.filename)}</td>
+        <td>${esc(entry.time)}</td>
+        ${defs.map(d => `<td>${entry.measurements[d.key] != null ? Measurements.format(d, entry.measurements[d.key]) : ''}</td>`).join('')}
+        <td>${esc(notes)}</td>
+        <td class="import-problems">${r.problems.map(esc).join('<br>')}</td>
+      </tr>
+    `;
+  }
+
+  // ── Import ──────────────────────────────────────────
+
+  async function onImport(e) {
+    e.preventDefault();
+    const experimentId = $('#experiment-select').value;
+    const progressEl = $('#import-progress');
+
+    if (!Auth.isConfigured()) {
+      showError('Please configure your GitHub token in Settings first.');
+      return;
+    }
+    if (planned.length === 0) return;
+
+    const importBtn = $('#import-btn');
+    importBtn.disabled = true;
+    importBtn.setAttribute('aria-busy', 'true');
+    progressEl.innerHTML = '';
+
+    const total = planned.length + 1;
+    let uploaded = 0;
+
+    try {
+      await JournalEntries.importEntries(
+        Auth.getToken(), Auth.getOwner(), Auth.getRepo(), experimentId, planned,
+        (step, msg, detail) => {
+          // One line for all the small entry files rather than one each
+          if (step === 'blob') {
+            if (detail.percent >= 100) uploaded++;
+            setLastProgress(progressEl, `Uploading entries... ${uploaded}/${total}`);
+            return;
+          }
+          addProgress(progressEl, msg);
+        }
+      );
+
+      addProgress(progressEl, `Imported ${planned.length} entries!`, 'done');
+      existingFiles = await loadExistingFiles(experimentId);
+      $('#csv-file').value = '';
+      table = null;
+      renderMapping();
+      renderPreview();
+      setTimeout(() => {
+        window.location.href = `index.html#exp/${experimentId}`;
+      }, 1500);
+    } catch (err) {
+      addProgress(progressEl, `Error: ${err.message}`, 'error');
+      importBtn.disabled = false;
+    } finally {
+      importBtn.removeAttribute('aria-busy');
+    }
+  }
+
+  // ── Helpers ─────────────────────────────────────────
+
+  function addProgress(el, message, cls = 'active') {
+    el.querySelectorAll('.step.active').forEach(s => { s.className = 'step done'; });
+    const step = document.createElement('div');
+    step.className = `step ${cls}`;
+    step.textContent = message;
+    el.appendChild(step);
+  }
+
+  // Update the current step in place (or start one)
+  function setLastProgress(el, message) {
+    const last = el.lastElementChild;
+    if (last && last.dataset.counter) {
+      last.textContent = message;
+      return;
+    }
+    addProgress(el, message);
+    el.lastElementChild.dataset.counter = 'true';
+  }
+
+  function showError(msg) {
+    $('#import-progress').innerHTML = `<div class="alert alert-error">${esc(msg)}</div>`;
+  }
+
+  function clearStatus() {
+    const el = $('#import-progress');
+    if (el.querySelector('.alert')) el.innerHTML = '';
+  }
+
+  // ── Start ───────────────────────────────────────────
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,300 @@
+/* lightbox.js — Full-screen photo viewer: prev/next, keyboard, swipe, pinch/wheel zoom, captions */
+
+(function () {
+  'use strict';
+
+  const MAX_SCALE = 5;
+  const WHEEL_ZOOM_STEP = 0.0015;
+  const SWIPE_THRESHOLD = 50;
+  const TAP_SLOP = 6;
+  const DOUBLE_TAP_MS = 300;
+
+  // Only one viewer is ever open; all listeners hang off this object
+  let state = null;
+
+  /**
+   * open — show items[index]
+   *
+   * items: [{ src, title, caption, notes, link }] — all but src feed the caption.
+   * opts.onChange(index) fires when the user moves to another photo,
+   * opts.onClose() when the user dismisses the viewer (not on close()).
+   * Calling open() while already open swaps the items in place.
+   */
+  function open(items, index, opts = {}) {
+    if (state) {
+      state.items = items;
+      state.opts = opts;
+      show(index);
+      return;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'lightbox-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.innerHTML = `
+      <div class="lightbox-stage">
+        <img class="lightbox-img" alt="Photo" draggable="false">
+      </div>
+      <button type="button" class="lightbox-btn lightbox-close" aria-label="Close">&times;</button>
+      <button type="button" class="lightbox-btn lightbox-prev" aria-label="Previous photo">&#8249;</button>
+      <button type="button" class="lightbox-btn lightbox-next" aria-label="Next photo">&#8250;</button>
+      <div class="lightbox-caption"></div>
+    `;
+
+    state = {
+      overlay,
+      stage: overlay.querySelector('.lightbox-stage'),
+      img: overlay.querySelector('.lightbox-img'),
+      caption: overlay.querySelector('.lightbox-caption'),
+      items,
+      opts,
+      index: 0,
+      scale: 1,
+      tx: 0,
+      ty: 0,
+      pointers: new Map(),
+      gesture: null,
+      lastTap: 0,
+      onKey
+    };
+
+    overlay.querySelector('.lightbox-close').addEventListener('click', dismiss);
+    overlay.querySelector('.lightbox-prev').addEventListener('click', () => step(-1));
+    overlay.querySelector('.lightbox-next').addEventListener('click', () => step(1));
+
+    state.stage.addEventListener('pointerdown', onPointerDown);
+    state.stage.addEventListener('pointermove', onPointerMove);
+    state.stage.addEventListener('pointerup', onPointerUp);
+    state.stage.addEventListener('pointercancel', onPointerUp);
+    state.stage.addEventListener('wheel', onWheel, { passive: false });
+    document.addEventListener('keydown', onKey);
+
+    document.body.appendChild(overlay);
+    document.body.classList.add('lightbox-open');
+    show(index);
+  }
+
+  // Remove the viewer and every listener it added
+  function close() {
+    if (!state) return;
+    document.removeEventListener('keydown', state.onKey);
+    state.overlay.remove();
+    document.body.classList.remove('lightbox-open');
+    state = null;
+  }
+
+  function dismiss() {
+    if (!state) return;
+    const onClose = state.opts.onClose;
+    close();
+    if (onClose) onClose();
+  }
+
+  function isOpen() {
+    return !!state;
+  }
+
+  function show(index) {
+    const count = state.items.length;
+    state.index = (index + count) % count;
+    const item = state.items[state.index];
+
+    resetZoom();
+    state.img.src = item.src;
+
+    const multiple = count > 1;
+    state.overlay.querySelector('.lightbox-prev').hidden = !multiple;
+    state.overlay.querySelector('.lightbox-next').hidden = !multiple;
+
+    const parts = [];
+    if (item.title) parts.push(`<strong>${Html.escape(item.title)}</strong>`);
+    if (multiple) parts.push(`<span class="lightbox-count">${state.index + 1} / ${count}</span>`);
+    if (item.link) parts.push(`<a href="${item.link}" class="lightbox-entry-link">View entry</a>`);
+    state.caption.innerHTML =
+      (parts.length ? `<div>${parts.join(' ')}</div>` : '') +
+      (item.caption ? `<p class="lightbox-photo-caption">${Html.escape(item.caption)}</p>` : '') +
+      (item.notes ? `<p>${Html.escape(item.notes)}</p>` : '');
+    state.caption.hidden = !state.caption.innerHTML;
+
+    // Following the entry link navigates away from the photo
+    const link = state.caption.querySelector('.lightbox-entry-link');
+    if (link) link.addEventListener('click', close);
+
+    // Preload neighbours so stepping feels instant
+    if (multiple) {
+      new Image().src = state.items[(state.index + 1) % count].src;
+      new Image().src = state.items[(state.index - 1 + count) % count].src;
+    }
+  }
+
+  function step(delta) {
+    if (!state || state.items.length < 2) return;
+    show(state.index + delta);
+    if (state.opts.onChange) state.opts.onChange(state.index);
+  }
+
+  // ── Zoom & pan ──────────────────────────────────────
+
+  function applyTransform() {
+    state.img.style.transform = `translate(${state.tx}px, ${state.ty}px) scale(${state.scale})`;
+    state.overlay.classList.toggle('zoomed', state.scale > 1);
+  }
+
+  function resetZoom() {
+    state.scale = 1;
+    state.tx = 0;
+    state.ty = 0;
+    applyTransform();
+  }
+
+  // Zoom keeping the point (px, py), relative to the stage centre, fixed on screen
+  function zoomTo(scale, px = 0, py = 0) {
+    const next = Math.min(MAX_SCALE, Math.max(1, scale));
+    const ratio = next / state.scale;
+    state.tx = px - (px - state.tx) * ratio;
+    state.ty = py - (py - state.ty) * ratio;
+    state.scale = next;
+    if (next === 1) {
+      state.tx = 0;
+      state.ty = 0;
+    }
+    applyTransform();
+  }
+
+  function stagePoint(clientX, clientY) {
+    const rect = state.stage.getBoundingClientRect();
+    return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+  }
+
+  function onWheel(e) {
+    e.preventDefault();
+    const p = stagePoint(e.clientX, e.clientY);
+    zoomTo(state.scale * Math.exp(-e.deltaY * WHEEL_ZOOM_STEP), p.x, p.y);
+  }
+
+  function onKey(e) {
+    switch (e.key) {
+      case 'Escape': dismiss(); break;
+      case 'ArrowLeft': step(-1); break;
+      case 'ArrowRight': step(1); break;
+      case '+':
+      case '=': zoomTo(state.scale * 1.5); break;
+      case '-': zoomTo(state.scale / 1.5); break;
+      case '0': resetZoom(); break;
+      default: return;
+    }
+    e.preventDefault();
+  }
+
+  // ── Gestures ────────────────────────────────────────
+
+  function onPointerDown(e) {
+    state.stage.setPointerCapture(e.pointerId);
+    state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+  }
+
+  // (Re)start from the current pointers: one finger pans/swipes, two pinch
+  function startGesture() {
+    const pts = [...state.pointers.values()];
+    if (pts.length === 2) {
+      state.gesture = {
+        type: 'pinch',
+        dist: distance(pts[0], pts[1]),
+        scale: state.scale,
+        center: stagePoint((pts[0].x + pts[1].x) / 2, (pts[0].y + pts[1].y) / 2)
+      };
+    } else if (pts.length === 1) {
+      state.gesture = {
+        type: 'drag',
+        startX: pts[0].x,
+        startY: pts[0].y,
+        tx: state.tx,
+        ty: state.ty,
+        moved: false
+      };
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!state.pointers.has(e.pointerId)) return;
+    state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = state.gesture;
+    if (!g) return;
+
+    if (g.type === 'pinch') {
+      const pts = [...state.pointers.values()];
+      zoomTo(g.scale * distance(pts[0], pts[1]) / g.dist, g.center.x, g.center.y);
+      return;
+    }
+
+    const dx = e.clientX - g.startX;
+    const dy = e.clientY - g.startY;
+    if (Math.abs(dx) > TAP_SLOP || Math.abs(dy) > TAP_SLOP) g.moved = true;
+
+    if (state.scale > 1) {
+      state.tx = g.tx + dx;
+      state.ty = g.ty + dy;
+    } else {
+      // Unzoomed: follow the finger horizontally as swipe feedback
+      state.tx = dx;
+    }
+    applyTransform();
+  }
+
+  function onPointerUp(e) {
+    if (!state.pointers.has(e.pointerId)) return;
+    state.pointers.delete(e.pointerId);
+    const g = state.gesture;
+
+    if (state.pointers.size > 0) {
+      // Lifting one finger of a pinch continues as a pan
+      startGesture();
+      return;
+    }
+    state.gesture = null;
+    if (!g || g.type !== 'drag') return;
+
+    if (!g.moved) {
+      onTap(e);
+      return;
+    }
+
+    if (state.scale === 1) {
+      const dx = e.clientX - g.startX;
+      state.tx = 0;
+      applyTransform();
+      if (Math.abs(dx) > SWIPE_THRESHOLD) step(dx < 0 ? 1 : -1);
+    }
+  }
+
+  // Double-tap toggles zoom; a single tap outside the photo closes the viewer
+  function onTap(e) {
+    const now = Date.now();
+    if (now - state.lastTap < DOUBLE_TAP_MS) {
+      state.lastTap = 0;
+      const p = stagePoint(e.clientX, e.clientY);
+      if (state.scale > 1) {
+        resetZoom();
+      } else {
+        zoomTo(2.5, p.x, p.y);
+      }
+      return;
+    }
+    state.lastTap = now;
+    if (!isOnImage(e.clientX, e.clientY) && state.scale === 1) dismiss();
+  }
+
+  // The stage captures the pointer, so e.target is never the photo
+  function isOnImage(x, y) {
+    const r = state.img.getBoundingClientRect();
+    return x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+  }
+
+  function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  window.Lightbox = { open, close, isOpen };
+})();
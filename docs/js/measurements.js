@@ -0,0 +1,115 @@
+/* measurements.js — Measurement definitions that drive the form, entry cards and charts */
+
+(function () {
+  'use strict';
+
+  const BASE = './';
+
+  // Used when neither the experiment nor data/measurements.json defines any
+  const DEFAULTS = [
+    { key: 'ph', label: 'pH', unit: '', precision: 2, min: 0, max: 14, axis: 'ph', color: '#2d8a4e' },
+    { key: 'ec', label: 'EC', unit: 'mS/cm', precision: 2, min: 0, max: 10, axis: 'ec', color: '#1976d2' },
+    { key: 'waterTemp', label: 'Water Temp', unit: '°C', precision: 1, min: 0, max: 50, axis: 'temp', color: '#ef6c00' }
+  ];
+
+  // Fallback colours for definitions that don't name one
+  const PALETTE = ['#2d8a4e', '#1976d2', '#ef6c00', '#8e24aa', '#00838f', '#6d4c41', '#e53935', '#5c6bc0'];
+
+  const cache = new Map();
+
+  async function fetchDefinitions(url) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) return null;
+      const data = await res.json();
+      return Array.isArray(data.measurements) ? data.measurements : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function normalize(defs) {
+    return defs.map((d, i) => ({
+      label: d.key,
+      unit: '',
+      precision: 1,
+      axis: d.key,
+      color: PALETTE[i % PALETTE.length],
+      ...d
+    }));
+  }
+
+  /**
+   * load — definitions for an experiment
+   *
+   * data/experiments/<id>/measurements.json replaces the global
+   * data/measurements.json when present. Resolves with an array of
+   * { key, label, unit, precision, min, max, axis, color }.
+   */
+  function load(experimentId) {
+    const cacheKey = experimentId || '';
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const promise = (async () => {
+      let defs = null;
+      if (experimentId) {
+        defs = await fetchDefinitions(BASE + `data/experiments/${experimentId}/measurements.json`);
+      }
+      if (!defs) defs = await fetchDefinitions(BASE + 'data/measurements.json');
+      return normalize(defs || DEFAULTS);
+    })();
+
+    cache.set(cacheKey, promise);
+    return promise;
+  }
+
+  function format(def, value) {
+    return Number(value).toFixed(def.precision);
+  }
+
+  // Input step matching the definition's precision (2 → 0.01)
+  function step(def) {
+    return def.precision > 0 ? (1 / Math.pow(10, def.precision)).toFixed(def.precision) : '1';
+  }
+
+  function inRange(def, value) {
+    return (def.min == null || value >= def.min) && (def.max == null || value <= def.max);
+  }
+
+  // "between 0 and 14", "at least 0" or "at most 40", for validation messages
+  function describeRange(def) {
+    if (def.min != null && def.max != null) return `between ${def.min} and ${def.max}`;
+    if (def.min != null) return `at least ${def.min}`;
+    return `at most ${def.max}`;
+  }
+
+  /**
+   * targetStatus — compare a value with an experiment's target band
+   *
+   * targets comes from meta.json: { ph: { min: 5.8, max: 6.2 }, ... }.
+   * Either bound may be omitted. Returns 'low', 'high' or null.
+   */
+  function targetStatus(targets, key, value) {
+    const band = targets && targets[key];
+    if (!band || value == null) return null;
+    if (band.min != null && value < band.min) return 'low';
+    if (band.max != null && value > band.max) return 'high';
+    return null;
+  }
+
+  // "5.8–6.2", "≥ 1.2" or "≤ 24"
+  function formatTarget(band) {
+    if (!band) return '';
+    if (band.min != null && band.max != null) return `${band.min}–${band.max}`;
+    if (band.min != null) return `≥ ${band.min}`;
+    if (band.max != null) return `≤ ${band.max}`;
+    return '';
+  }
+
+  // Human label including the unit, e.g. "EC (mS/cm)"
+  function labelWithUnit(def) {
+    return def.unit ? `${def.label} (${def.unit})` : def.label;
+  }
+
+  window.Measurements = { load, format, step, inRange, describeRange, targetStatus, formatTarget, labelWithUnit };
+})();
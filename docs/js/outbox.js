@@ -0,0 +1,116 @@
+/* outbox.js — Persistent queue for submissions made while offline, replayed when back online */
+
+(function () {
+  'use strict';
+
+  const STORE = 'outbox';
+  const SYNC_TAG = 'hydro-outbox';
+
+  // A record claimed by another tab/the service worker is left alone for this long
+  const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+  // github-api.js tags requests that never reached GitHub; API errors carry a
+  // status, and anything else (a bug) is shown rather than retried forever.
+  function isOfflineError(err) {
+    return !navigator.onLine || GitHubAPI.isNetworkError(err);
+  }
+
+  /**
+   * enqueue — store a submission until it can be committed
+   *
+   * The credentials are kept with the record because the service worker
+   * has no access to localStorage; they are dropped with the record once sent.
+   */
+  async function enqueue(submission, creds) {
+    const id = await HydroDB.put(STORE, {
+      createdAt: new Date().toISOString(),
+      submission,
+      token: creds.token,
+      owner: creds.owner,
+      repo: creds.repo,
+      lastError: '',
+      claimedAt: 0
+    });
+    await registerSync();
+    return id;
+  }
+
+  function list() {
+    return HydroDB.getAll(STORE);
+  }
+
+  function discard(id) {
+    return HydroDB.remove(STORE, id);
+  }
+
+  // Ask the service worker to flush when connectivity returns (Background Sync)
+  async function registerSync() {
+    if (!('serviceWorker' in navigator)) return false;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      if (!reg.sync) return false;
+      await reg.sync.register(SYNC_TAG);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Atomically mark a record as being sent so two contexts don't commit it twice
+  function claim(id) {
+    const now = Date.now();
+    return HydroDB.update(STORE, id, (record) => {
+      if (!record || now - record.claimedAt < CLAIM_TIMEOUT_MS) return undefined;
+      return { ...record, claimedAt: now };
+    });
+  }
+
+  /**
+   * flush — replay every queued submission through commitFiles
+   *
+   * Stops at the first network failure (still offline); other failures are
+   * recorded on the record and left for the user to retry or discard.
+   * Resolves with { sent, remaining, offline }.
+   */
+  async function flush(onProgress) {
+    const records = await list();
+    let sent = 0;
+    let offline = false;
+
+    for (const queued of records) {
+      const record = await claim(queued.id);
+      if (!record) continue;
+
+      try {
+        await JournalEntries.commitSubmission(
+          record.token, record.owner, record.repo, record.submission, onProgress
+        );
+        await discard(record.id);
+        // The form's draft was kept until the entry was really committed
+        if (record.submission.draftId != null) await Drafts.remove(record.submission.draftId);
+        sent++;
+      } catch (err) {
+        offline = isOfflineError(err);
+        await HydroDB.put(STORE, {
+          ...record,
+          claimedAt: 0,
+          lastError: offline ? '' : err.message
+        });
+        if (offline) break;
+      }
+    }
+
+    const remaining = (await list()).length;
+    return { sent, remaining, offline };
+  }
+
+  self.Outbox = {
+    SYNC_TAG,
+    isOfflineError,
+    enqueue,
+    list,
+    discard,
+    registerSync,
+    flush
+  };
+})();
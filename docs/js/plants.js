@@ -0,0 +1,94 @@
+/* plants.js — Per-plant records (meta.json) and per-entry plant observations */
+
+(function () {
+  'use strict';
+
+  /**
+   * Plants live in meta.json:
+   *   { id: 'p1', variety: 'Butterhead', count: 1,
+   *     sowDate: '2026-01-10', transplantDate: '2026-01-23', stage: 'vegetative' }
+   * Entries may log observations against them:
+   *   observations: [{ plant: 'p1', heightCm: 12.5, leaves: 8, health: 4, harvestG: 120 }]
+   * Every observation field is optional. meta.json's lastPlantId is the
+   * highest p<N> ever issued, so a removed plant's id is never reused.
+   */
+  const STAGES = {
+    'germination': 'Germination',
+    'seedling': 'Seedling',
+    'vegetative': 'Vegetative',
+    'flowering': 'Flowering',
+    'fruiting': 'Fruiting',
+    'harvested': 'Harvested'
+  };
+
+  const OBSERVATION_FIELDS = [
+    { key: 'heightCm', label: 'Height', unit: 'cm', min: 0, max: 1000, step: '0.1' },
+    { key: 'leaves', label: 'Leaves', unit: '', min: 0, max: 1000, step: '1' },
+    { key: 'health', label: 'Health', unit: '/5', min: 1, max: 5, step: '1' },
+    { key: 'harvestG', label: 'Harvest', unit: 'g', min: 0, max: 100000, step: '0.1' }
+  ];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // "Butterhead (p1)", or the bare id for a plant no longer in meta.json
+  function label(plants, id) {
+    const plant = (plants || []).find(p => p.id === id);
+    return plant && plant.variety ? `${plant.variety} (${id})` : id;
+  }
+
+  function stageLabel(stage) {
+    return STAGES[stage] || stage || '';
+  }
+
+  // "12.5 cm · 8 leaves · health 4/5 · 120 g harvested"
+  function describe(obs) {
+    const parts = [];
+    if (obs.heightCm != null) parts.push(`${obs.heightCm} cm`);
+    if (obs.leaves != null) parts.push(`${obs.leaves} leaves`);
+    if (obs.health != null) parts.push(`health ${obs.health}/5`);
+    if (obs.harvestG != null) parts.push(`${obs.harvestG} g harvested`);
+    return parts.join(' · ');
+  }
+
+  // Whole days from a plant's transplant (or sow) date to `date`, or null
+  function age(plant, date) {
+    const from = plant.transplantDate || plant.sowDate;
+    if (!from || !date) return null;
+    return Math.round((new Date(date + 'T00:00:00') - new Date(from + 'T00:00:00')) / DAY_MS);
+  }
+
+  /**
+   * summarize — per-plant state across an experiment's entries (oldest first)
+   *
+   * Returns { plants: { id: { latest: { heightCm, leaves, health },
+   *   latestDate, harvestG, harvests } }, yieldG }. The latest reading of
+   * each field is kept separately, so a later entry logging only the
+   * height doesn't hide the last leaf count.
+   */
+  function summarize(entries) {
+    const result = { plants: {}, yieldG: 0 };
+
+    entries.forEach(entry => {
+      (entry.observations || []).forEach(obs => {
+        if (!obs.plant) return;
+        const summary = result.plants[obs.plant] ||
+          (result.plants[obs.plant] = { latest: {}, latestDate: null, harvestG: 0, harvests: 0 });
+
+        ['heightCm', 'leaves', 'health'].forEach(key => {
+          if (obs[key] != null) summary.latest[key] = obs[key];
+        });
+        summary.latestDate = entry.date;
+
+        if (obs.harvestG != null) {
+          summary.harvestG += obs.harvestG;
+          summary.harvests++;
+          result.yieldG += obs.harvestG;
+        }
+      });
+    });
+
+    return result;
+  }
+
+  window.Plants = { STAGES, OBSERVATION_FIELDS, label, stageLabel, describe, age, summarize };
+})();
@@ -0,0 +1,122 @@
+/* search.js — Client-side full-text index over every experiment's entries */
+
+(function () {
+  'use strict';
+
+  const SNIPPET_RADIUS = 70;
+
+  let indexPromise = null;
+
+  /**
+   * buildIndex — one document per entry across all experiments
+   *
+   * Entry files are fetched through the service worker, which keeps a copy
+   * of each, so the index can be rebuilt offline. Built once per page load.
+   */
+  function buildIndex(experiments) {
+    if (indexPromise) return indexPromise;
+
+    indexPromise = Promise.all(experiments.map(async (exp) => {
+      const [entries, defs] = await Promise.all([
+        JournalEntries.loadAll(exp.id).catch(() => []),
+        Measurements.load(exp.id)
+      ]);
+      return entries.map(entry => toDocument(exp, entry, defs));
+    })).then(lists => lists.flat());
+
+    return indexPromise;
+  }
+
+  // Drop the cached index (after an entry is added, edited or deleted)
+  function reset() {
+    indexPromise = null;
+  }
+
+  function toDocument(exp, entry, defs) {
+    const m = entry.measurements || {};
+    const measurementText = Object.keys(m)
+      .filter(key => m[key] != null)
+      .map(key => {
+        const def = defs.find(d => d.key === key);
+        return def ? `${def.label} ${m[key]}${def.unit ? ` ${def.unit}` : ''}` : `${key} ${m[key]}`;
+      })
+      .join(' · ');
+
+    const actionText = (entry.actions || []).map(EntryActions.describe).join(' · ');
+    const photoText = (entry.images || [])
+      .map(img => [img.caption, ...img.tags, img.plant].filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join(' · ');
+    const longDate = new Date(entry.date + 'T00:00:00')
+      .toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    return {
+      experimentId: exp.id,
+      experimentName: exp.name,
+      file: entry._file,
+      date: entry.date,
+      time: entry.time || '',
+      notes: entry.notes || '',
+      measurementText,
+      actionText,
+      photoText,
+      haystack: [entry.date, longDate, entry.time, entry.notes, measurementText, actionText, photoText]
+        .join('\n').toLowerCase()
+    };
+  }
+
+  function terms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * search — documents containing every term of the query, newest first
+   *
+   * Returns [{ doc, snippet, detail }] where snippet/detail are HTML with
+   * matches wrapped in <mark>.
+   */
+  function search(docs, query) {
+    const qTerms = terms(query);
+    if (qTerms.length === 0) return [];
+
+    return docs
+      .filter(doc => qTerms.every(t => doc.haystack.includes(t)))
+      .sort((a, b) => (b.date + b.time).localeCompare(a.date + a.time))
+      .map(doc => ({
+        doc,
+        snippet: snippet(doc.notes, qTerms),
+        detail: highlight([doc.measurementText, doc.actionText, doc.photoText].filter(Boolean).join(' · '), qTerms)
+      }));
+  }
+
+  // A window of the notes around the first match, with every match marked
+  function snippet(text, qTerms) {
+    const lower = text.toLowerCase();
+    const first = qTerms
+      .map(t => lower.indexOf(t))
+      .filter(i => i >= 0)
+      .sort((a, b) => a - b)[0];
+
+    if (first == null) {
+      return highlight(text.length > SNIPPET_RADIUS * 2 ? text.slice(0, SNIPPET_RADIUS * 2) + '…' : text, qTerms);
+    }
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), qTerms) + (end < text.length ? '…' : '');
+  }
+
+  // Split on the raw text so a term can never land inside an HTML entity
+  function highlight(text, qTerms) {
+    if (!text) return '';
+    const pattern = new RegExp(
+      '(' + qTerms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')',
+      'gi'
+    );
+    return text.split(pattern)
+      .map((part, i) => (i % 2 ? `<mark>${Html.escape(part)}</mark>` : Html.escape(part)))
+      .join('');
+  }
+
+  window.JournalSearch = { buildIndex, reset, search };
+})();
@@ -8,6 +8,7 @@
 
   const $ = (sel, el) => (el || document).querySelector(sel);
   const $$ = (sel, el) => [...(el || document).querySelectorAll(sel)];
+  const esc = Html.escape;
 
   const contentEl = $('#content');
   const searchInput = $('#search-input');
@@ -15,10 +16,31 @@
   let experiments = [];
   let currentExperiment = null;
 
+  // meta.json per experiment id, fetched on demand
+  const metaCache = new Map();
+
+  let searchTimer = null;
+
+  // Resolves once the open experiment's timeline has rendered
+  let detailReady = null;
+  // Entries of the open experiment, oldest first (for the gallery)
+  let currentEntries = [];
+  let timelapseTimer = null;
+  // Chart.js instances on the open timeline, one per panel
+  let charts = [];
+  // Last list/search URL, so "Back" returns to the same filters
+  let lastListHash = '';
+
+  const SEARCH_DEBOUNCE_MS = 200;
+
+  const SYSTEM_TYPES = ['NFT', 'DWC', 'Kratky', 'Ebb & Flow'];
+  const STATUSES = ['active', 'paused', 'completed', 'archived'];
+
   // ── Init ────────────────────────────────────────────
 
   async function init() {
     await loadExperiments();
+    Tasks.checkOnOpen();
 
     // Handle hash-based navigation
     window.addEventListener('hashchange', onHashChange);
@@ -38,6 +60,20 @@
     }
   }
 
+  async function loadMeta(id) {
+    if (metaCache.has(id)) return metaCache.get(id);
+    try {
+      const res = await fetch(BASE + `data/experiments/${id}/meta.json`);
+      if (!res.ok) throw new Error('No meta');
+      const meta = await res.json();
+      metaCache.set(id, meta);
+      return meta;
+    } catch {
+      // Fall back to the summary from experiments.json
+      return experiments.find(e => e.id === id) || null;
+    }
+  }
+
   async function loadExperiments() {
     try {
       const res = await fetch(BASE + 'data/experiments.json');
@@ -51,66 +87,321 @@
 
   // ── Routing ─────────────────────────────────────────
 
-  function onHashChange() {
-    const hash = window.location.hash.slice(1);
-    if (hash) {
-      showExperiment(hash);
+  /**
+   * Routes:
+   *   #?q=<query>&status=<status>          experiment list / search results
+   *   #exp/<id>                            experiment detail
+   *   #exp/<id>/gallery                    … on the photo gallery tab
+   *   #exp/<id>/entry/<filename>           … scrolled to and highlighting an entry
+   *   #exp/<id>/photo/<images/…/file.jpg>  … with the photo open in the lightbox
+   *   #compare?ids=<id>,<id>               experiments overlaid by days since start
+   *   #calendar?month=YYYY-MM&day=…        month calendar across experiments
+   * Old #<id> links are redirected to #exp/<id>.
+   */
+  function parseRoute(hash) {
+    const [path, query] = splitOnce(hash, '?');
+    const params = new URLSearchParams(query || '');
+    const parts = path.split('/');
+
+    if (parts[0] === 'exp' && parts[1]) {
+      const route = { view: 'experiment', id: decodeURIComponent(parts[1]), params };
+      if (parts[2] === 'gallery') route.tab = 'gallery';
+      if (parts[2] === 'entry' && parts[3]) route.entry = decodeURIComponent(parts[3]);
+      if (parts[2] === 'photo' && parts.length > 3) route.photo = parts.slice(3).map(decodeURIComponent).join('/');
+      return route;
+    }
+    if (path === 'calendar') {
+      return { view: 'calendar', month: params.get('month') || '', day: params.get('day') || '', params };
+    }
+    if (path === 'compare') {
+      const ids = (params.get('ids') || '').split(',').filter(id => experiments.some(e => e.id === id));
+      return { view: 'compare', ids, params };
+    }
+    if (path && experiments.some(e => e.id === path)) {
+      return { view: 'experiment', id: path, params, legacy: true };
+    }
+    return { view: 'list', params };
+  }
+
+  function experimentHash(id, sub) {
+    return `#exp/${encodeURIComponent(id)}${sub || ''}`;
+  }
+
+  function entryHash(id, filename) {
+    return experimentHash(id, `/entry/${encodeURIComponent(filename)}`);
+  }
+
+  function photoHash(id, path) {
+    return experimentHash(id, `/photo/${path.split('/').map(encodeURIComponent).join('/')}`);
+  }
+
+  function compareHash(ids) {
+    return ids.length ? `#compare?ids=${ids.map(encodeURIComponent).join(',')}` : '#compare';
+  }
+
+  function listHash(query, status) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (status) params.set('status', status);
+    const str = params.toString();
+    return str ? `#?${str}` : '#';
+  }
+
+  async function onHashChange() {
+    const route = parseRoute(window.location.hash.slice(1));
+
+    if (route.legacy) {
+      history.replaceState(null, '', experimentHash(route.id));
+    }
+
+    if (route.view === 'list') {
+      closeLightbox();
+      lastListHash = window.location.hash;
+      const query = route.params.get('q') || '';
+      if (searchInput) searchInput.value = query;
+      if (query) {
+        showSearchResults(query);
+      } else {
+        showExperimentList();
+      }
+      return;
+    }
+
+    if (route.view === 'calendar') {
+      closeLightbox();
+      if (searchInput) searchInput.value = '';
+      showCalendar(route.month, route.day);
+      return;
+    }
+
+    if (route.view === 'compare') {
+      closeLightbox();
+      if (searchInput) searchInput.value = '';
+      showCompare(route.ids);
+      return;
+    }
+
+    // Moving between entries/photos of the open experiment keeps the page
+    if (!currentExperiment || currentExperiment.id !== route.id || !detailReady) {
+      if (searchInput) searchInput.value = '';
+      detailReady = showExperiment(route.id);
+    }
+    await detailReady;
+    if (!currentExperiment || currentExperiment.id !== route.id) return;
+
+    if (route.photo) {
+      openLightbox(route.photo);
     } else {
-      showExperimentList();
+      closeLightbox();
+      lightboxPushed = false;
+      showTab(route.tab || 'timeline');
     }
+    if (route.entry) highlightEntry(route.entry);
+  }
+
+  function highlightEntry(filename) {
+    $$('.entry-card.highlighted').forEach(c => c.classList.remove('highlighted'));
+    const card = $(`.entry-card[data-file="${CSS.escape(filename)}"]`);
+    if (card) {
+      card.classList.add('highlighted');
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  function splitOnce(str, sep) {
+    const i = str.indexOf(sep);
+    return i < 0 ? [str, ''] : [str.slice(0, i), str.slice(i + 1)];
   }
 
   // ── Experiment List ─────────────────────────────────
 
   function showExperimentList() {
     currentExperiment = null;
-    const searchBar = $('#search-bar');
-    if (searchBar) searchBar.classList.remove('hidden');
+    detailReady = null;
+    stopTimelapse();
+    destroyCharts();
 
     if (experiments.length === 0) {
       contentEl.innerHTML = '<div class="empty-state"><p>No experiments yet.</p><p>Create one from the submission app.</p></div>';
       return;
     }
 
-    const filtered = filterExperiments(searchInput ? searchInput.value : '');
-    contentEl.innerHTML = '<div class="experiment-list">' +
+    const status = currentStatusFilter();
+    const filtered = filterExperiments('', status);
+    contentEl.innerHTML = renderStatusFilter(status) +
+      '<div class="experiment-list">' +
       filtered.map(renderExperimentCard).join('') +
       '</div>';
 
+    bindStatusFilter();
+
     // Bind click handlers
     $$('.experiment-card', contentEl).forEach(card => {
       card.addEventListener('click', () => {
-        window.location.hash = card.dataset.id;
+        window.location.hash = experimentHash(card.dataset.id);
       });
     });
 
-
+    // Fill in system / plants / nutrients from each meta.json
+    $$('.experiment-card', contentEl).forEach(async (card) => {
+      const meta = await loadMeta(card.dataset.id);
+      const slot = $('.meta-details', card);
+      if (meta && slot) slot.innerHTML = renderMetaDetails(meta);
+    });
   }
 
   function renderExperimentCard(exp) {
     return `
       <article class="experiment-card" data-id="${exp.id}">
         <h3>${esc(exp.name)} <span class="status-badge ${exp.status}">${exp.status}</span></h3>
-        <div class="meta">Started ${formatDate(exp.startDate)}</div>
+        <div class="meta">${renderDateRange(exp)}</div>
         <p>${esc(exp.description)}</p>
+        <div class="meta-details"></div>
       </article>
     `;
   }
 
-  function filterExperiments(query) {
-    if (!query) return experiments;
+  function renderDateRange(exp) {
+    const started = `Started ${formatDate(exp.startDate)}`;
+    return exp.endDate ? `${started} &middot; Ended ${formatDate(exp.endDate)}` : started;
+  }
+
+  function renderMetaDetails(meta) {
+    const rows = [];
+    if (meta.system) rows.push(['System', esc(meta.system)]);
+    if (meta.plants && meta.plants.length) {
+      rows.push(['Plants', meta.plants.map(p =>
+        `${esc(p.variety)}${p.count > 1 ? ` &times;${p.count}` : ''}${plantDetails(p)}`
+      ).join(', ')]);
+    }
+    if (meta.nutrients) rows.push(['Nutrients', esc(meta.nutrients)]);
+    if (rows.length === 0) return '';
+
+    return '<dl class="experiment-meta">' +
+      rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('') +
+      '</dl>';
+  }
+
+  // " (sown Jan 10, 2026 · vegetative)"
+  function plantDetails(p) {
+    const parts = [];
+    if (p.sowDate) parts.push(`sown ${formatDate(p.sowDate)}`);
+    if (p.transplantDate) parts.push(`transplanted ${formatDate(p.transplantDate)}`);
+    if (p.stage) parts.push(esc(Plants.stageLabel(p.stage).toLowerCase()));
+    return parts.length ? ` <small>(${parts.join(' &middot; ')})</small>` : '';
+  }
+
+  function filterExperiments(query, status) {
+    const byStatus = status ? experiments.filter(e => e.status === status) : experiments;
+    if (!query) return byStatus;
     const q = query.toLowerCase();
-    return experiments.filter(e =>
+    return byStatus.filter(e =>
       e.name.toLowerCase().includes(q) ||
       e.description.toLowerCase().includes(q) ||
       e.id.toLowerCase().includes(q)
     );
   }
 
+  function currentStatusFilter() {
+    return parseRoute(window.location.hash.slice(1)).params.get('status') || '';
+  }
+
+  function renderStatusFilter(status) {
+    return '<nav class="status-filter" aria-label="Filter by status">' +
+      ['', ...STATUSES].map(st => `
+        <button type="button" class="status-chip${st === status ? ' selected' : ''}" data-status="${st}">${st || 'all'}</button>
+      `).join('') +
+      `<a href="${calendarHash()}" class="list-view-link">Calendar</a>` +
+      (experiments.length > 1 ? `<a href="${compareHash([])}" class="list-view-link">Compare experiments &rarr;</a>` : '') +
+      '</nav>';
+  }
+
+  function bindStatusFilter() {
+    $$('.status-chip', contentEl).forEach(chip => {
+      chip.addEventListener('click', () => {
+        window.location.hash = listHash(searchInput ? searchInput.value.trim() : '', chip.dataset.status);
+      });
+    });
+  }
+
+  // Keystrokes update the URL in place; leaving another view pushes one entry
   function onSearch() {
-    if (!currentExperiment) {
-      showExperimentList();
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      const query = searchInput.value.trim();
+      const route = parseRoute(window.location.hash.slice(1));
+      const status = route.view === 'list' ? route.params.get('status') || '' : '';
+      const hash = listHash(query, status);
+
+      if (route.view === 'list' && route.params.get('q')) {
+        history.replaceState(null, '', hash);
+      } else {
+        history.pushState(null, '', hash);
+      }
+      lastListHash = hash;
+
+      if (query) {
+        showSearchResults(query);
+      } else {
+        showExperimentList();
+      }
+    }, SEARCH_DEBOUNCE_MS);
+  }
+
+  // ── Search Results ──────────────────────────────────
+
+  async function showSearchResults(query) {
+    currentExperiment = null;
+    detailReady = null;
+    stopTimelapse();
+    destroyCharts();
+
+    const status = currentStatusFilter();
+    const matching = filterExperiments(query, status);
+    contentEl.innerHTML = renderStatusFilter(status) + `
+      <div class="search-results">
+        ${matching.length ? `
+          <h3>Experiments</h3>
+          <div class="experiment-list">${matching.map(renderExperimentCard).join('')}</div>
+        ` : ''}
+        <h3>Entries</h3>
+        <div id="entry-results" class="loading">Searching entries...</div>
+      </div>
+    `;
+
+    bindStatusFilter();
+
+    $$('.experiment-card', contentEl).forEach(card => {
+      card.addEventListener('click', () => {
+        window.location.hash = experimentHash(card.dataset.id);
+      });
+    });
+
+    const docs = await JournalSearch.buildIndex(experiments);
+    // A newer keystroke has already replaced these results
+    if (searchInput.value.trim() !== query) return;
+
+    const resultsEl = $('#entry-results');
+    if (!resultsEl) return;
+    resultsEl.classList.remove('loading');
+
+    const results = JournalSearch.search(docs, query)
+      .filter(r => !status || experiments.some(e => e.id === r.doc.experimentId && e.status === status));
+    if (results.length === 0) {
+      resultsEl.innerHTML = '<div class="empty-state"><p>No entries match.</p></div>';
+      return;
     }
+
+    resultsEl.innerHTML = '<div class="search-result-list">' + results.map(r => `
+      <a class="search-result" href="${entryHash(r.doc.experimentId, r.doc.file)}">
+        <div class="search-result-head">
+          <strong>${esc(r.doc.experimentName)}</strong>
+          <span>${formatDate(r.doc.date)}${r.doc.time ? ` ${r.doc.time}` : ''}</span>
+        </div>
+        ${r.snippet ? `<div class="search-snippet">${r.snippet}</div>` : ''}
+        ${r.detail ? `<div class="search-detail">${r.detail}</div>` : ''}
+      </a>
+    `).join('') + '</div>';
   }
 
   // ── Experiment Detail ───────────────────────────────
@@ -123,24 +414,62 @@
     }
 
     currentExperiment = exp;
-    const searchBar = $('#search-bar');
-    if (searchBar) searchBar.classList.add('hidden');
+    currentEntries = [];
+    stopTimelapse();
 
     contentEl.innerHTML = `
       <div class="experiment-detail-header">
         <button class="back-btn" id="back-btn">&larr; Back</button>
         <h2>${esc(exp.name)}</h2>
         <span class="status-badge ${exp.status}">${exp.status}</span>
+        <details class="export-menu" id="export-menu">
+          <summary class="back-btn">Export</summary>
+          <div class="export-options">
+            <button type="button" data-export="csv">CSV spreadsheet</button>
+            <button type="button" data-export="json">JSON bundle</button>
+            <button type="button" data-export="report">Printable report</button>
+          </div>
+        </details>
+        ${Auth.isConfigured() ? '<button class="back-btn settings-btn" id="settings-btn">Settings</button>' : ''}
       </div>
       <p>${esc(exp.description)}</p>
-      <div class="meta">Started ${formatDate(exp.startDate)}</div>
-      <div id="chart-area"></div>
-      <h3 style="margin-top:1.5rem">Entries</h3>
-      <div id="entries-area" class="loading">Loading entries...</div>
+      <div class="meta">${renderDateRange(exp)}</div>
+      <div id="meta-area"></div>
+      <nav class="detail-tabs">
+        <a href="${experimentHash(exp.id)}" data-tab="timeline">Timeline</a>
+        <a href="${experimentHash(exp.id, '/gallery')}" data-tab="gallery">Gallery</a>
+      </nav>
+      <div id="timeline-tab">
+        <div id="tasks-area"></div>
+        <div id="totals-area"></div>
+        <div id="plants-area"></div>
+        <div id="chart-area"></div>
+        <h3 style="margin-top:1.5rem">Entries</h3>
+        <div id="entries-area" class="loading">Loading entries...</div>
+      </div>
+      <div id="gallery-tab" class="hidden"></div>
     `;
 
     $('#back-btn').addEventListener('click', () => {
-      window.location.hash = '';
+      window.location.hash = lastListHash || '';
+    });
+
+    const settingsBtn = $('#settings-btn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => openExperimentSettings(exp));
+    }
+
+    $$('#export-menu [data-export]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        $('#export-menu').open = false;
+        exportExperiment(exp, btn.dataset.export);
+      });
+    });
+
+    loadMeta(exp.id).then(meta => {
+      const metaArea = $('#meta-area');
+      if (meta && metaArea) metaArea.innerHTML = renderMetaDetails(meta);
+      renderTasks(exp, meta);
     });
 
     await loadEntries(exp);
@@ -148,207 +477,1932 @@
 
   async function loadEntries(exp) {
     const entriesArea = $('#entries-area');
+    destroyCharts();
 
     try {
-      const indexRes = await fetch(BASE + `data/experiments/${exp.id}/entries/index.json`);
-      if (!indexRes.ok) throw new Error('No entries found');
-      const indexData = await indexRes.json();
-      const filenames = indexData.entries || [];
+      const validEntries = await JournalEntries.loadAll(exp.id);
 
-      if (filenames.length === 0) {
+      if (validEntries.length === 0) {
         entriesArea.innerHTML = '<div class="empty-state"><p>No entries yet.</p></div>';
         return;
       }
 
-      // Fetch all entries in parallel
-      const entries = await Promise.all(
-        filenames.map(async (fname) => {
-          const res = await fetch(BASE + `data/experiments/${exp.id}/entries/${fname}`);
-          if (!res.ok) return null;
-          return res.json();
-        })
-      );
-
-      const validEntries = entries.filter(Boolean);
-
       // Sort newest first
       validEntries.sort((a, b) => {
         const da = a.date + (a.time || '');
         const db = b.date + (b.time || '');
         return db.localeCompare(da);
       });
+      currentEntries = [...validEntries].reverse();
+
+      const defs = await Measurements.load(exp.id);
+      const meta = await loadMeta(exp.id);
+      const targets = (meta && meta.targets) || {};
+      const plants = (meta && meta.plants) || [];
+      const derived = computeDerived(currentEntries, defs);
 
       entriesArea.innerHTML = '<div class="entry-timeline">' +
-        validEntries.map(renderEntry).join('') +
+        validEntries.map(e => renderEntry(e, exp, defs, targets, plants, derived.byFile.get(e._file))).join('') +
         '</div>';
 
-      // Bind lightbox
+      // Bind lightbox (through the URL, so photos can be linked to)
       $$('.entry-images img', entriesArea).forEach(img => {
-        img.addEventListener('click', () => openLightbox(img.src));
+        img.addEventListener('click', () => {
+          lightboxPushed = true;
+          window.location.hash = photoHash(exp.id, img.dataset.path);
+        });
+      });
+
+      // Bind delete (edit is a plain link to app.html)
+      $$('.delete-entry', entriesArea).forEach(btn => {
+        btn.addEventListener('click', () => deleteEntry(exp, btn.dataset.file, btn));
       });
 
+      const totalsArea = $('#totals-area');
+      if (totalsArea) totalsArea.innerHTML = renderTotals(validEntries);
+
+      renderPlants(currentEntries, plants);
+
       // Render measurement chart if we have data
-      renderChart(validEntries, exp);
+      renderChart(validEntries, exp, defs, targets, derived);
 
     } catch (err) {
       entriesArea.innerHTML = `<div class="empty-state"><p>Could not load entries.</p><p>${err.message}</p></div>`;
     }
   }
 
-  function renderEntry(entry) {
+  // derived: this entry's values from computeDerived(), when shown in its experiment's timeline
+  function renderEntry(entry, exp, defs, targets, plants, derived) {
     const images = (entry.images || [])
-      .map(src => `<img src="${BASE}${src}" alt="Photo" loading="lazy">`)
+      .map(img => {
+        const label = photoLabel(img, plants);
+        return `<img ${thumbSrc(img, '120px')} data-path="${esc(img.path)}" alt="${esc(img.caption || 'Photo')}"` +
+          `${label ? ` title="${esc(label)}"` : ''} loading="lazy">`;
+      })
       .join('');
 
-    const measurements = renderMeasurements(entry.measurements);
+    const measurements = renderMeasurements(entry.measurements, defs, targets) + renderDerived(derived);
+
+    const dosing = renderDosing(entry.actions);
+
+    const observations = renderObservations(entry.observations, plants);
+
+    // Editing commits through the GitHub API, so only offer it once a token is set
+    const controls = Auth.isConfigured() ? `
+      <div class="entry-actions">
+        <a href="app.html?experiment=${encodeURIComponent(exp.id)}&entry=${encodeURIComponent(entry._file)}">Edit</a>
+        <button type="button" class="delete-entry" data-file="${esc(entry._file)}">Delete</button>
+      </div>
+    ` : '';
 
     return `
-      <article class="entry-card">
+      <article class="entry-card" data-file="${esc(entry._file)}">
         <div class="entry-date">
-          ${formatDate(entry.date)}
+          <a href="${entryHash(exp.id, entry._file)}" class="entry-link" title="Link to this entry">${formatDate(entry.date)}</a>
           ${entry.time ? `<span class="entry-time">${entry.time}</span>` : ''}
+          ${controls}
         </div>
         <div class="entry-notes">${esc(entry.notes)}</div>
         ${measurements}
+        ${dosing}
+        ${observations}
         ${images ? `<div class="entry-images">${images}</div>` : ''}
       </article>
     `;
   }
 
-  function renderMeasurements(m) {
+  function renderMeasurements(m, defs, targets) {
     if (!m) return '';
     const items = [];
-    if (m.ph != null) items.push({ label: 'pH', value: m.ph, unit: '' });
-    if (m.ec != null) items.push({ label: 'EC', value: m.ec, unit: 'mS/cm' });
-    if (m.waterTemp != null) items.push({ label: 'Water Temp', value: m.waterTemp, unit: '°C' });
+    defs.forEach(def => {
+      if (m[def.key] != null) {
+        items.push({
+          label: def.label,
+          value: Measurements.format(def, m[def.key]),
+          unit: def.unit,
+          status: Measurements.targetStatus(targets, def.key, m[def.key]),
+          target: Measurements.formatTarget(targets && targets[def.key])
+        });
+      }
+    });
+    // Values recorded under a key the schema no longer lists
+    Object.keys(m)
+      .filter(key => m[key] != null && !defs.some(d => d.key === key))
+      .forEach(key => items.push({ label: key, value: m[key], unit: '' }));
 
     if (items.length === 0) return '';
 
     return '<div class="measurements">' +
       items.map(i => `
-        <div class="measurement">
-          <div class="label">${i.label}</div>
-          <div class="value">${i.value}<span class="unit"> ${i.unit}</span></div>
+        <div class="measurement${i.status ? ` out-of-range ${i.status}` : ''}"${i.status ? ` title="${i.status === 'low' ? 'Below' : 'Above'} target ${i.target}"` : ''}>
+          <div class="label">${esc(i.label)}${i.status ? ` <span class="range-flag">${i.status === 'low' ? '&darr;' : '&uarr;'}</span>` : ''}</div>
+          <div class="value">${i.value}<span class="unit"> ${esc(i.unit)}</span></div>
         </div>
       `).join('') +
       '</div>';
   }
 
-  // ── Lightbox ────────────────────────────────────────
+  function renderDosing(actions) {
+    if (!actions || actions.length === 0) return '';
+    return '<ul class="entry-dosing">' +
+      actions.map(a => `<li class="dosing-${esc(a.type)}">${esc(EntryActions.describe(a))}</li>`).join('') +
+      '</ul>';
+  }
+
+  function renderObservations(observations, plants) {
+    if (!observations || observations.length === 0) return '';
+    return '<ul class="entry-observations">' +
+      observations.map(o => `
+        <li><strong>${esc(Plants.label(plants, o.plant))}</strong> ${esc(Plants.describe(o))}</li>
+      `).join('') +
+      '</ul>';
+  }
+
+  // ── Tasks ───────────────────────────────────────────
+
+  /**
+   * renderTasks — the experiment's recurring tasks, soonest first, each
+   * linking to the entry form set up to complete it
+   *
+   * Due dates only matter while the experiment is active; the reminder
+   * controls are offered once there is something to be reminded about.
+   */
+  async function renderTasks(exp, meta) {
+    const area = $('#tasks-area');
+    if (!area) return;
+
+    const tasks = Tasks.withStatus({ startDate: exp.startDate, ...meta });
+    if (tasks.length === 0) {
+      area.innerHTML = '';
+      return;
+    }
+
+    const defs = await Measurements.load(exp.id);
+    const active = exp.status === 'active';
 
-  function openLightbox(src) {
-    const overlay = document.createElement('div');
-    overlay.className = 'lightbox-overlay';
-    overlay.innerHTML = `<img src="${src}" alt="Photo">`;
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) overlay.remove();
-    });
-    document.addEventListener('keydown', function handler(e) {
-      if (e.key === 'Escape') {
-        overlay.remove();
-        document.removeEventListener('keydown', handler);
+    const items = tasks.map(({ task, status }) => {
+      const logs = [
+        ...(task.measurements || []).map(key => {
+          const def = defs.find(d => d.key === key);
+          return def ? def.label : key;
+        }),
+        ...(task.action && EntryActions.TYPES[task.action] ? [EntryActions.TYPES[task.action].label.toLowerCase()] : [])
+      ];
+      const details = [
+        Tasks.describeInterval(task),
+        logs.length ? `logs ${logs.join(', ')}` : '',
+        task.lastDone ? `last done ${formatDate(task.lastDone)}` : 'not done yet'
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <li class="task-item${active ? ` ${status.state}` : ''}">
+          <div>
+            <strong>${esc(task.title)}</strong>
+            <small>${esc(details)}</small>
+          </div>
+          ${active ? `<span class="task-due ${status.state}">${Tasks.describeStatus(status)}</span>` : ''}
+          <a href="${Tasks.entryUrl(exp.id, task.id)}" role="button" class="secondary outline">Log</a>
+        </li>
+      `;
+    }).join('');
+
+    area.innerHTML = `
+      <div class="totals-panel tasks-panel">
+        <h4>Tasks</h4>
+        <ul class="task-list">${items}</ul>
+        ${active ? renderReminderControls() : `<small>Due dates are paused while the experiment is ${esc(exp.status)}.</small>`}
+      </div>
+    `;
+
+    const enableBtn = $('#enable-reminders', area);
+    if (enableBtn) {
+      enableBtn.addEventListener('click', async () => {
+        enableBtn.disabled = true;
+        await Tasks.enableReminders();
+        await Tasks.checkOnOpen();
+        renderTasks(exp, meta);
+      });
+    }
+  }
+
+  function renderReminderControls() {
+    if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+      return '<small>This browser can\'t show reminders; due tasks are listed here.</small>';
+    }
+    if (Notification.permission === 'granted') {
+      return '<small>Reminders are on for due tasks.</small>';
+    }
+    if (Notification.permission === 'denied') {
+      return '<small>Notifications are blocked for this site, so reminders only show here.</small>';
+    }
+    return '<button type="button" class="secondary outline" id="enable-reminders">Turn on reminders</button>';
+  }
+
+  // Running totals of everything added to the reservoir
+  function renderTotals(entries) {
+    const t = EntryActions.totals(entries);
+    const rows = [];
+
+    Object.entries(t.nutrients).forEach(([product, ml]) => {
+      rows.push([esc(product), `${round(ml)} ml`]);
+    });
+    if (t.phUp) rows.push(['pH up', `${round(t.phUp)} ml`]);
+    if (t.phDown) rows.push(['pH down', `${round(t.phDown)} ml`]);
+    if (t.topUp) rows.push(['Top-ups', `${round(t.topUp)} L`]);
+    if (t.lastReservoirChange) {
+      const days = t.daysSinceReservoirChange;
+      rows.push(['Last reservoir change',
+        `${formatDate(t.lastReservoirChange)} (${days === 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} ago`})`]);
+    }
+    if (rows.length === 0) return '';
+
+    return `
+      <div class="totals-panel">
+        <h4>Reservoir &amp; dosing totals</h4>
+        <dl class="experiment-meta">
+          ${rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('')}
+        </dl>
+      </div>
+    `;
+  }
+
+  async function deleteEntry(exp, filename, btn) {
+    const card = btn.closest('.entry-card');
+    const photos = $$('.entry-images img', card).length;
+    const what = photos ? ` and its ${photos} photo${photos === 1 ? '' : 's'}` : '';
+    if (!confirm(`Delete the entry ${filename}${what}? This commits the removal to GitHub.`)) return;
+
+    btn.disabled = true;
+    btn.textContent = 'Deleting...';
+
+    try {
+      await JournalEntries.deleteEntry(Auth.getToken(), Auth.getOwner(), Auth.getRepo(), exp.id, filename);
+      // GitHub Pages takes a minute to rebuild, so drop the card locally
+      card.remove();
+      JournalSearch.reset();
+      calendarData = null;
+    } catch (err) {
+      btn.disabled = false;
+      btn.textContent = 'Delete';
+      alert(`Could not delete entry: ${err.message}`);
+    }
+  }
+
+  // ── Gallery ─────────────────────────────────────────
+
+  function showTab(tab) {
+    const timelineTab = $('#timeline-tab');
+    const galleryTab = $('#gallery-tab');
+    if (!timelineTab || !galleryTab) return;
+
+    timelineTab.classList.toggle('hidden', tab !== 'timeline');
+    galleryTab.classList.toggle('hidden', tab !== 'gallery');
+    $$('.detail-tabs a').forEach(a => a.classList.toggle('active', a.dataset.tab === tab));
+
+    if (tab === 'gallery') {
+      // Render once per visit so coming back from a photo keeps the player where it was
+      if (!galleryTab.dataset.rendered) {
+        galleryTab.dataset.rendered = 'true';
+        renderGallery(galleryTab);
+      }
+    } else {
+      stopTimelapse();
+    }
+  }
+
+  // Every photo of the open experiment, oldest first
+  function collectPhotos(entries) {
+    const photos = [];
+    entries.forEach(entry => {
+      (entry.images || []).forEach(img => {
+        photos.push({ ...img, date: entry.date, time: entry.time || '', file: entry._file, notes: entry.notes || '' });
+      });
+    });
+    return photos;
+  }
+
+  async function renderGallery(container) {
+    const exp = currentExperiment;
+    const photos = collectPhotos(currentEntries);
+
+    if (photos.length === 0) {
+      container.innerHTML = '<div class="empty-state"><p>No photos yet.</p></div>';
+      return;
+    }
+
+    // Only offer the tags and plants that some photo actually has
+    const meta = await loadMeta(exp.id);
+    const plants = (meta && meta.plants) || [];
+    const tags = JournalEntries.PHOTO_TAGS.filter(tag => photos.some(p => p.tags.includes(tag)));
+    const plantIds = [...new Set(photos.map(p => p.plant).filter(Boolean))];
+
+    const filters = tags.length > 0 || plantIds.length > 0 ? `
+      <div class="gallery-filter grid">
+        <select id="gallery-tag" aria-label="Filter by tag">
+          <option value="">All tags</option>
+          ${tags.map(tag => `<option value="${tag}">${tag}</option>`).join('')}
+        </select>
+        <select id="gallery-plant" aria-label="Filter by plant">
+          <option value="">All plants</option>
+          ${plantIds.map(id => `<option value="${esc(id)}">${esc(Plants.label(plants, id))}</option>`).join('')}
+        </select>
+      </div>
+    ` : '';
+
+    container.innerHTML = `${filters}<div id="gallery-body"></div>`;
+    const body = $('#gallery-body', container);
+    const tagSelect = $('#gallery-tag', container);
+    const plantSelect = $('#gallery-plant', container);
+
+    const applyFilter = () => {
+      const tag = tagSelect ? tagSelect.value : '';
+      const plant = plantSelect ? plantSelect.value : '';
+      stopTimelapse();
+      renderGalleryBody(body, photos.filter(p =>
+        (!tag || p.tags.includes(tag)) && (!plant || p.plant === plant)
+      ), plants);
+    };
+    if (tagSelect) tagSelect.addEventListener('change', applyFilter);
+    if (plantSelect) plantSelect.addEventListener('change', applyFilter);
+    applyFilter();
+  }
+
+  // Time-lapse, compare and grid for the photos that pass the filter
+  function renderGalleryBody(container, photos, plants) {
+    const exp = currentExperiment;
+
+    if (photos.length === 0) {
+      container.innerHTML = '<div class="empty-state"><p>No photos match this filter.</p></div>';
+      return;
+    }
+
+    const options = photos.map((p, i) =>
+      `<option value="${i}">${formatDate(p.date)}${p.time ? ` ${p.time}` : ''} — #${i + 1}</option>`
+    ).join('');
+
+    container.innerHTML = `
+      <section class="timelapse">
+        <h4>Time-lapse</h4>
+        <div class="timelapse-frame">
+          <img id="timelapse-img" alt="Time-lapse frame">
+          <div class="timelapse-date" id="timelapse-date"></div>
+        </div>
+        <div class="timelapse-controls">
+          <button type="button" class="secondary outline" id="tl-prev" aria-label="Previous">&#9664;</button>
+          <button type="button" id="tl-play">Play</button>
+          <button type="button" class="secondary outline" id="tl-next" aria-label="Next">&#9654;</button>
+          <input type="range" id="tl-scrub" min="0" max="${photos.length - 1}" value="0" aria-label="Frame">
+          <select id="tl-speed" aria-label="Speed">
+            <option value="2000">Slow</option>
+            <option value="1000" selected>Normal</option>
+            <option value="400">Fast</option>
+          </select>
+        </div>
+      </section>
+
+      <section class="compare">
+        <h4>Compare</h4>
+        <div class="grid">
+          <select id="compare-a" aria-label="First photo">${options}</select>
+          <select id="compare-b" aria-label="Second photo">${options}</select>
+        </div>
+        <div class="compare-pair">
+          <figure><img id="compare-img-a" alt="First photo"><figcaption id="compare-cap-a"></figcaption></figure>
+          <figure><img id="compare-img-b" alt="Second photo"><figcaption id="compare-cap-b"></figcaption></figure>
+        </div>
+      </section>
+
+      <section>
+        <h4>All photos (${photos.length})</h4>
+        <div class="gallery-grid">
+          ${photos.map(p => `
+            <figure class="gallery-item">
+              <img ${thumbSrc(p, '(max-width: 600px) 50vw, 200px')} data-path="${esc(p.path)}" alt="${esc(p.caption || `Photo from ${formatDate(p.date)}`)}" loading="lazy">
+              <figcaption>
+                ${formatDate(p.date)}
+                ${photoLabel(p, plants) ? `<span class="gallery-caption">${esc(photoLabel(p, plants))}</span>` : ''}
+              </figcaption>
+            </figure>
+          `).join('')}
+        </div>
+      </section>
+    `;
+
+    // Time-lapse player
+    let frame = 0;
+    const show = (i) => {
+      frame = (i + photos.length) % photos.length;
+      const p = photos[frame];
+      $('#timelapse-img').src = BASE + p.path;
+      $('#timelapse-date').textContent = `${formatDate(p.date)}${p.time ? ` ${p.time}` : ''}`;
+      $('#tl-scrub').value = frame;
+      // Warm the cache so playback doesn't stall on the next frame
+      const next = photos[(frame + 1) % photos.length];
+      new Image().src = BASE + next.path;
+    };
+    const setPlaying = (playing) => {
+      stopTimelapse();
+      $('#tl-play').textContent = playing ? 'Pause' : 'Play';
+      if (playing) {
+        timelapseTimer = setInterval(() => show(frame + 1), parseInt($('#tl-speed').value));
       }
+    };
+
+    $('#tl-prev').addEventListener('click', () => { setPlaying(false); show(frame - 1); });
+    $('#tl-next').addEventListener('click', () => { setPlaying(false); show(frame + 1); });
+    $('#tl-play').addEventListener('click', () => setPlaying(!timelapseTimer));
+    $('#tl-scrub').addEventListener('input', (e) => { setPlaying(false); show(parseInt(e.target.value)); });
+    $('#tl-speed').addEventListener('change', () => { if (timelapseTimer) setPlaying(true); });
+    show(0);
+
+    // Side-by-side compare, first vs latest by default
+    const compareA = $('#compare-a');
+    const compareB = $('#compare-b');
+    compareB.value = String(photos.length - 1);
+    const updateCompare = () => {
+      [['a', compareA], ['b', compareB]].forEach(([side, select]) => {
+        const p = photos[parseInt(select.value)];
+        $(`#compare-img-${side}`).src = BASE + p.path;
+        $(`#compare-cap-${side}`).textContent = `${formatDate(p.date)}${p.time ? ` ${p.time}` : ''}`;
+      });
+    };
+    compareA.addEventListener('change', updateCompare);
+    compareB.addEventListener('change', updateCompare);
+    updateCompare();
+
+    $$('.gallery-item img', container).forEach(img => {
+      img.addEventListener('click', () => {
+        lightboxPushed = true;
+        window.location.hash = photoHash(exp.id, img.dataset.path);
+      });
     });
-    document.body.appendChild(overlay);
+  }
+
+  function stopTimelapse() {
+    clearInterval(timelapseTimer);
+    timelapseTimer = null;
+  }
+
+  // ── Lightbox ────────────────────────────────────────
+
+  // True when the open photo's URL was pushed by a click (so Back closes it)
+  let lightboxPushed = false;
+
+  /**
+   * openLightbox — show a photo of the open experiment
+   *
+   * Prev/next step through all of the experiment's photos in date order;
+   * each step replaces the URL so the photo on screen can be linked to.
+   */
+  async function openLightbox(path) {
+    const exp = currentExperiment;
+    const meta = await loadMeta(exp.id);
+    const plants = (meta && meta.plants) || [];
+    const photos = collectPhotos(currentEntries);
+    const index = photos.findIndex(p => p.path === path);
+    const items = index >= 0
+      ? photos.map(p => ({
+        src: BASE + p.path,
+        title: `${formatDate(p.date)}${p.time ? ` ${p.time}` : ''}`,
+        caption: photoLabel(p, plants),
+        notes: p.notes,
+        link: entryHash(exp.id, p.file)
+      }))
+      : [{ src: BASE + path }];
+
+    Lightbox.open(items, Math.max(index, 0), {
+      onChange: (i) => history.replaceState(null, '', photoHash(exp.id, photos[i].path)),
+      onClose: dismissLightbox
+    });
+  }
+
+  function closeLightbox() {
+    Lightbox.close();
+  }
+
+  // User closed the photo: step the URL back to the experiment as well
+  function dismissLightbox() {
+    if (!currentExperiment) return;
+    if (lightboxPushed) {
+      lightboxPushed = false;
+      history.back();
+    } else {
+      history.replaceState(null, '', experimentHash(currentExperiment.id));
+    }
   }
 
   // ── Charts ──────────────────────────────────────────
 
-  function renderChart(entries, exp) {
+  // Vendored so charts work offline; loaded in order on first use
+  const CHART_SCRIPTS = [
+    'vendor/chart.umd.min.js',
+    'vendor/chartjs-adapter-date-fns.bundle.min.js',
+    'vendor/hammer.min.js',
+    'vendor/chartjs-plugin-zoom.min.js'
+  ];
+  const CHART_RANGES = [['7', '7d'], ['30', '30d'], ['90', '90d'], ['all', 'All']];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let chartLibs = null;
+
+  function loadChartLibs() {
+    if (!chartLibs) {
+      chartLibs = CHART_SCRIPTS
+        .reduce((ready, src) => ready.then(() => loadScript(BASE + src)), Promise.resolve())
+        .catch(err => {
+          chartLibs = null;
+          throw err;
+        });
+    }
+    return chartLibs;
+  }
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  // Readings are placed at their date and time; entries without a time at midday
+  function entryTime(entry) {
+    return new Date(`${entry.date}T${entry.time || '12:00'}`).getTime();
+  }
+
+  /**
+   * renderChart — one panel per axis group (pH, EC, temperatures, …) on a
+   * shared time axis
+   *
+   * Zooming or panning one panel moves the others with it. derived (from
+   * computeDerived) adds the rate panels behind the "Rates" button.
+   */
+  function renderChart(entries, exp, defs, targets, derived) {
     const chartArea = $('#chart-area');
     if (!chartArea) return;
 
     // Need at least 2 data points for a meaningful chart
     const withMeasurements = entries
-      .filter(e => e.measurements && (e.measurements.ph != null || e.measurements.ec != null || e.measurements.waterTemp != null))
-      .sort((a, b) => a.date.localeCompare(b.date));
+      .filter(e => e.measurements && defs.some(d => e.measurements[d.key] != null))
+      .sort((a, b) => entryTime(a) - entryTime(b));
 
     if (withMeasurements.length < 2) return;
 
+    // Metrics sharing an axis group share a panel and a scale
+    const groups = new Map();
+    defs.forEach(def => {
+      if (!withMeasurements.some(e => e.measurements[def.key] != null)) return;
+      if (!groups.has(def.axis)) groups.set(def.axis, []);
+      groups.get(def.axis).push(def);
+    });
+
+    // Rates are optional panels, drawn the first time they're shown
+    const derivedPanels = derived ? derivedSeries(derived) : [];
+
     chartArea.innerHTML = `
       <div class="chart-container">
-        <h4>Measurements Over Time</h4>
-        <canvas id="measurements-chart"></canvas>
+        <div class="chart-header">
+          <h4>Measurements Over Time</h4>
+          <div class="chart-tools">
+            <div class="chart-ranges" role="group" aria-label="Date range">
+              ${CHART_RANGES.map(([value, label]) =>
+                `<button type="button" data-range="${value}"${value === 'all' ? ' class="active"' : ''}>${label}</button>`
+              ).join('')}
+            </div>
+            ${derivedPanels.length ? '<button type="button" class="back-btn" id="chart-derived" aria-pressed="false" title="Show rates of change between readings">Rates</button>' : ''}
+            <button type="button" class="back-btn" id="chart-csv" title="Download the readings in view as CSV">CSV</button>
+          </div>
+        </div>
+        <div class="chart-panels">
+          ${[...groups.values()].map(group => `
+            <div class="chart-panel">
+              <h5>${esc(panelTitle(group))}</h5>
+              <div class="chart-canvas"><canvas data-axis="${esc(group[0].axis)}"></canvas></div>
+            </div>
+          `).join('')}
+          ${derivedPanels.map(panel => `
+            <div class="chart-panel derived-panel hidden">
+              <h5>${esc(panel.title)}</h5>
+              <div class="chart-canvas"><canvas data-derived="${panel.key}"></canvas></div>
+            </div>
+          `).join('')}
+        </div>
+        <small class="chart-hint">Drag to pan; pinch or Ctrl + scroll to zoom.</small>
       </div>
     `;
 
-    // Load Chart.js dynamically
-    if (typeof Chart === 'undefined') {
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/chart.js@4/dist/chart.umd.min.js';
-      script.onload = () => buildChart(withMeasurements);
-      document.head.appendChild(script);
-    } else {
-      buildChart(withMeasurements);
+    loadChartLibs().then(() => {
+      // The user may have moved on while the scripts loaded
+      if (!chartArea.isConnected) return;
+      // Growth charts share `charts` too, so the panel tools get their own list
+      const panels = [...groups.values()].map(group => {
+        const canvas = $(`canvas[data-axis="${CSS.escape(group[0].axis)}"]`, chartArea);
+        return buildChart(canvas, withMeasurements, group, targets);
+      });
+      charts.push(...panels);
+      bindChartTools(chartArea, exp, withMeasurements, defs, panels);
+      bindDerivedToggle(chartArea, derivedPanels, withMeasurements, panels);
+    }).catch(err => {
+      $('.chart-panels', chartArea).innerHTML = `<div class="empty-state"><p>Could not load charts.</p><p>${esc(err.message)}</p></div>`;
+    });
+  }
+
+  // "Water Temp / Air Temp (°C)"
+  function panelTitle(group) {
+    const units = [...new Set(group.map(d => d.unit).filter(Boolean))];
+    const labels = group.map(d => d.label).join(' / ');
+    return units.length ? `${labels} (${units.join(' / ')})` : labels;
+  }
+
+  function buildChart(canvas, entries, group, targets) {
+    const bands = [];
+    const datasets = group.map((def, i) => {
+      const band = targets && targets[def.key];
+      if (band) bands.push({ datasetIndex: i, axisId: 'y', color: def.color, ...band });
+
+      return {
+        label: Measurements.labelWithUnit(def),
+        data: entries
+          .filter(e => e.measurements[def.key] != null)
+          .map(e => ({ x: entryTime(e), y: e.measurements[def.key] })),
+        borderColor: def.color,
+        backgroundColor: withAlpha(def.color, 0.1),
+        tension: 0.3,
+        pointRadius: 3
+      };
+    });
+
+    // Make sure the target bands are in view even when readings sit inside them
+    const mins = bands.map(b => b.min).filter(v => v != null);
+    const maxes = bands.map(b => b.max).filter(v => v != null);
+
+    return lineChart(canvas, datasets, {
+      xMin: entryTime(entries[0]),
+      xMax: entryTime(entries[entries.length - 1]),
+      legend: group.length > 1,
+      bands,
+      suggestedMin: mins.length ? Math.min(...mins) : undefined,
+      suggestedMax: maxes.length ? Math.max(...maxes) : undefined
+    });
+  }
+
+  /**
+   * lineChart — time-axis line chart with target bands and zoom/pan
+   *
+   * datasets hold { x: timestamp, y } points, or { x: day number } with
+   * opts.days. All charts on the page zoom together (see syncCharts).
+   */
+  function lineChart(canvas, datasets, opts) {
+    const x = opts.days ? {
+      type: 'linear',
+      min: opts.xMin,
+      max: opts.xMax,
+      title: { display: true, text: 'Days since start' },
+      ticks: { precision: 0 }
+    } : {
+      type: 'time',
+      min: opts.xMin,
+      max: opts.xMax,
+      time: { tooltipFormat: 'MMM d, yyyy HH:mm' },
+      ticks: { maxRotation: 0, autoSkipPadding: 12 }
+    };
+
+    return new Chart(canvas, {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', axis: 'x', intersect: false },
+        scales: {
+          x,
+          y: {
+            type: 'linear',
+            suggestedMin: opts.suggestedMin,
+            suggestedMax: opts.suggestedMax
+          }
+        },
+        plugins: {
+          legend: { display: opts.legend },
+          tooltip: opts.days ? { callbacks: { title: items => `Day ${Math.floor(items[0].parsed.x)}` } } : {},
+          targetBands: { bands: opts.bands || [] },
+          zoom: {
+            limits: { x: { min: 'original', max: 'original', minRange: opts.days ? 1 : DAY_MS } },
+            pan: { enabled: true, mode: 'x', onPanComplete: ({ chart }) => syncCharts(chart) },
+            zoom: {
+              mode: 'x',
+              wheel: { enabled: true, modifierKey: 'ctrl' },
+              pinch: { enabled: true },
+              onZoomComplete: ({ chart }) => syncCharts(chart)
+            }
+          }
+        }
+      },
+      plugins: [targetBandPlugin]
+    });
+  }
+
+  function destroyCharts() {
+    charts.forEach(chart => chart.destroy());
+    charts = [];
+  }
+
+  // Give every panel the x range of the one the user just zoomed or panned
+  function syncCharts(source) {
+    const { min, max } = source.scales.x;
+    charts.forEach(chart => {
+      if (chart !== source) chart.zoomScale('x', { min, max }, 'none');
+    });
+    $$('.chart-ranges button').forEach(btn => btn.classList.remove('active'));
+  }
+
+  // panels: the measurement charts renderChart built, whose x range is the one in view
+  function bindChartTools(chartArea, exp, entries, defs, panels) {
+    const first = entryTime(entries[0]);
+    const last = entryTime(entries[entries.length - 1]);
+
+    $$('.chart-ranges button', chartArea).forEach(btn => {
+      btn.addEventListener('click', () => {
+        const range = btn.dataset.range;
+        charts.forEach(chart => {
+          if (range === 'all') chart.resetZoom('none');
+          else chart.zoomScale('x', { min: Math.max(first, last - range * DAY_MS), max: last }, 'none');
+        });
+        $$('.chart-ranges button', chartArea).forEach(b => b.classList.toggle('active', b === btn));
+      });
+    });
+
+    // The readings currently in view
+    $('#chart-csv', chartArea).addEventListener('click', () => {
+      const { min, max } = panels[0].scales.x;
+      const inView = entries.filter(e => entryTime(e) >= min && entryTime(e) <= max);
+      JournalExport.download(`${exp.id}-measurements.csv`, JournalExport.csv(inView, defs), 'text/csv');
+    });
+  }
+
+  // Shades each metric's target band behind its line (hidden with the dataset)
+  const targetBandPlugin = {
+    id: 'targetBands',
+    beforeDatasetsDraw(chart, args, opts) {
+      const { ctx, chartArea } = chart;
+      (opts.bands || []).forEach(band => {
+        if (!chart.isDatasetVisible(band.datasetIndex)) return;
+        const scale = chart.scales[band.axisId];
+        if (!scale) return;
+
+        const top = band.max != null ? scale.getPixelForValue(band.max) : chartArea.top;
+        const bottom = band.min != null ? scale.getPixelForValue(band.min) : chartArea.bottom;
+        const y1 = Math.max(chartArea.top, Math.min(top, bottom));
+        const y2 = Math.min(chartArea.bottom, Math.max(top, bottom));
+        if (y2 <= y1) return;
+
+        ctx.save();
+        ctx.fillStyle = withAlpha(band.color, 0.08);
+        ctx.fillRect(chartArea.left, y1, chartArea.right - chartArea.left, y2 - y1);
+        ctx.restore();
+      });
     }
+  };
+
+  // ── Derived Metrics ─────────────────────────────────
+
+  /**
+   * Series worked out from the readings rather than logged:
+   *   ecRate         EC change per day since the previous EC reading
+   *   phDrift        pH change per day since the first reading after the
+   *                  last pH adjustment
+   *   reservoirDays  days since the previous reservoir change
+   * Readings on an entry are taken to come before its actions (measure,
+   * then dose), so a dose restarts a rate from the next reading.
+   * jump is the rate per day, as a fraction of the definition's min–max
+   * range (so µS/cm and mS/cm both work), flagged whatever the experiment's
+   * usual drift.
+   */
+  const RATE_METRICS = [
+    { key: 'ecRate', source: 'ec', since: 'previous', resetOn: ['nutrient', 'top-up', 'reservoir-change'], jump: 0.04 },
+    { key: 'phDrift', source: 'ph', since: 'adjustment', resetOn: ['ph-up', 'ph-down', 'reservoir-change'], jump: 0.035 }
+  ];
+  // Rates over shorter gaps are mostly meter noise
+  const MIN_RATE_DAYS = 0.25;
+  // Robust z-score (median / MAD) above which a rate is an unusual jump
+  const JUMP_Z = 3.5;
+  const JUMP_HINT = 'Unusual jump: check the meter calibration, or the plants';
+
+  /**
+   * computeDerived — derived values for an experiment's entries
+   *
+   * Returns { byFile: Map(filename → { ecRate, phDrift, reservoirDays }),
+   * series: { ecRate, phDrift, reservoirDays }, defs }. Rate points are
+   * { x, y, days, since, flagged }; reservoir points { x, y }.
+   */
+  function computeDerived(entries, defs) {
+    const sorted = [...entries].sort((a, b) => entryTime(a) - entryTime(b));
+    const byFile = new Map();
+    const series = {};
+    const at = (entry) => {
+      if (!byFile.has(entry._file)) byFile.set(entry._file, {});
+      return byFile.get(entry._file);
+    };
+
+    RATE_METRICS.forEach(metric => {
+      const def = defs.find(d => d.key === metric.source);
+      if (!def) return;
+      const points = [];
+      // The reading the next rate is measured from
+      let base = null;
+      let adjusted = false;
+
+      sorted.forEach(entry => {
+        const value = entry.measurements && entry.measurements[metric.source];
+        if (value != null) {
+          const days = base ? (entryTime(entry) - base.time) / DAY_MS : 0;
+          if (base && days >= MIN_RATE_DAYS) {
+            const point = {
+              x: entryTime(entry),
+              y: (value - base.value) / days,
+              days,
+              since: metric.since === 'previous' ? 'previous' : adjusted ? 'adjustment' : 'start',
+              flagged: false
+            };
+            points.push(point);
+            at(entry)[metric.key] = point;
+          }
+          if (!base || metric.since === 'previous') base = { time: entryTime(entry), value };
+        }
+        if ((entry.actions || []).some(a => metric.resetOn.includes(a.type))) {
+          base = null;
+          adjusted = true;
+        }
+      });
+
+      // Without a range only the experiment's own spread can flag a jump
+      const range = def.min != null && def.max != null ? def.max - def.min : null;
+      flagJumps(points, range ? metric.jump * range : null);
+      series[metric.key] = points;
+    });
+
+    series.reservoirDays = [];
+    let lastChange = null;
+    sorted.forEach(entry => {
+      if (!(entry.actions || []).some(a => a.type === 'reservoir-change')) return;
+      if (lastChange) {
+        const days = daysBetween(lastChange, entry.date);
+        series.reservoirDays.push({ x: entryTime(entry), y: days });
+        at(entry).reservoirDays = days;
+      }
+      lastChange = entry.date;
+    });
+
+    return { byFile, series, defs };
   }
 
-  function buildChart(entries) {
-    const ctx = document.getElementById('measurements-chart');
-    if (!ctx) return;
+  // Flag rates beyond the absolute jump (if any), or far outside the experiment's own spread
+  function flagJumps(points, jump) {
+    if (points.length === 0) return;
+    const centre = median(points.map(p => p.y));
+    const mad = median(points.map(p => Math.abs(p.y - centre)));
+
+    points.forEach(p => {
+      const deviation = Math.abs(p.y - centre);
+      const outlier = points.length >= 5 && mad > 0 &&
+        0.6745 * deviation / mad > JUMP_Z && deviation >= (jump || 0) / 2;
+      p.flagged = (jump != null && Math.abs(p.y) >= jump) || outlier;
+    });
+  }
 
-    const labels = entries.map(e => e.date);
-    const datasets = [];
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
 
-    const phData = entries.map(e => e.measurements.ph ?? null);
-    const ecData = entries.map(e => e.measurements.ec ?? null);
-    const tempData = entries.map(e => e.measurements.waterTemp ?? null);
+  // "+0.30", "−0.08"
+  function formatRate(value) {
+    const fixed = Math.abs(value).toFixed(2);
+    if (fixed === '0.00') return fixed;
+    return `${value > 0 ? '+' : '−'}${fixed}`;
+  }
 
-    if (phData.some(v => v != null)) {
-      datasets.push({
-        label: 'pH',
-        data: phData,
-        borderColor: '#2d8a4e',
-        backgroundColor: 'rgba(45,138,78,0.1)',
-        yAxisID: 'y',
-        tension: 0.3,
-        spanGaps: true
+  const RATE_SINCE = {
+    previous: 'since last reading',
+    adjustment: 'since last adjustment',
+    start: 'since first reading'
+  };
+
+  // One line per derived value on an entry card
+  function renderDerived(derived) {
+    if (!derived) return '';
+    const rates = [['EC', derived.ecRate], ['pH', derived.phDrift]].filter(([, p]) => p);
+
+    const lines = rates.map(([label, p]) => `
+      <li${p.flagged ? ` class="flagged" title="${JUMP_HINT}"` : ''}>
+        ${formatRate(p.y)} ${label}/day ${RATE_SINCE[p.since]}${p.flagged ? ' <span class="range-flag">!</span>' : ''}
+      </li>
+    `);
+    if (derived.reservoirDays != null) {
+      const days = derived.reservoirDays;
+      lines.push(`<li>${days} day${days === 1 ? '' : 's'} since the previous reservoir change</li>`);
+    }
+    return lines.length ? `<ul class="entry-derived">${lines.join('')}</ul>` : '';
+  }
+
+  // Chart panels for the derived series that have points
+  function derivedSeries(derived) {
+    const def = (key) => derived.defs.find(d => d.key === key) || {};
+    const ec = def('ec');
+    const ph = def('ph');
+    return [
+      { key: 'ecRate', title: `EC change (${ec.unit ? `${ec.unit} per day` : 'per day'})`, label: 'EC/day', color: ec.color },
+      { key: 'phDrift', title: 'pH drift since last adjustment (per day)', label: 'pH/day', color: ph.color },
+      { key: 'reservoirDays', title: 'Days between reservoir changes', label: 'Days', color: '#0097a7' }
+    ]
+      .map(panel => ({ ...panel, color: panel.color || '#757575', points: derived.series[panel.key] || [] }))
+      .filter(panel => panel.points.length > 0);
+  }
+
+  // Rates button: show the derived panels, drawing them at the measurement panels' zoom on first use
+  function bindDerivedToggle(chartArea, panels, entries, measurementCharts) {
+    const btn = $('#chart-derived', chartArea);
+    if (!btn) return;
+    let built = false;
+
+    btn.addEventListener('click', () => {
+      const show = btn.getAttribute('aria-pressed') !== 'true';
+      btn.setAttribute('aria-pressed', String(show));
+      $$('.derived-panel', chartArea).forEach(el => el.classList.toggle('hidden', !show));
+      if (!show || built) return;
+
+      built = true;
+      const { min, max } = measurementCharts[0].scales.x;
+      panels.forEach(panel => {
+        const flagged = (ctx) => ctx.raw && ctx.raw.flagged;
+        const canvas = $(`canvas[data-derived="${panel.key}"]`, chartArea);
+        const chart = lineChart(canvas, [{
+          label: panel.label,
+          data: panel.points,
+          borderColor: panel.color,
+          backgroundColor: withAlpha(panel.color, 0.1),
+          stepped: panel.key === 'reservoirDays',
+          pointRadius: ctx => flagged(ctx) ? 6 : 3,
+          pointBackgroundColor: ctx => flagged(ctx) ? '#ef6c00' : panel.color,
+          pointBorderColor: ctx => flagged(ctx) ? '#ef6c00' : panel.color
+        }], {
+          xMin: entryTime(entries[0]),
+          xMax: entryTime(entries[entries.length - 1]),
+          legend: false
+        });
+        chart.zoomScale('x', { min, max }, 'none');
+        charts.push(chart);
       });
+    });
+  }
+
+  // ── Plants ──────────────────────────────────────────
+
+  // Line colours for per-plant and per-experiment series
+  const SERIES_COLORS = ['#2d8a4e', '#1976d2', '#ef6c00', '#8e24aa', '#00838f', '#e53935', '#6d4c41', '#5c6bc0'];
+  // Observation fields drawn as growth curves
+  const GROWTH_FIELDS = ['heightCm', 'leaves'];
+
+  /**
+   * renderPlants — per-plant table (stage, age, latest readings, harvest),
+   * the experiment's total yield and growth curves
+   *
+   * entries are oldest first. Plants observed on entries but since removed
+   * from meta.json still get a row.
+   */
+  function renderPlants(entries, plants) {
+    const area = $('#plants-area');
+    if (!area) return;
+
+    const summary = Plants.summarize(entries);
+    const ids = [...new Set([...plants.map(p => p.id), ...Object.keys(summary.plants)])];
+    if (ids.length === 0) {
+      area.innerHTML = '';
+      return;
     }
-    if (ecData.some(v => v != null)) {
-      datasets.push({
-        label: 'EC (mS/cm)',
-        data: ecData,
-        borderColor: '#1976d2',
-        backgroundColor: 'rgba(25,118,210,0.1)',
-        yAxisID: 'y',
+
+    const today = new Date().toISOString().split('T')[0];
+    const rows = ids.map(id => {
+      const plant = plants.find(p => p.id === id) || { id };
+      const stats = summary.plants[id] || { latest: {}, harvestG: 0, harvests: 0 };
+      // A harvested plant stops ageing at its last observation
+      const age = Plants.age(plant, plant.stage === 'harvested' && stats.latestDate ? stats.latestDate : today);
+      return `
+        <tr>
+          <td>${esc(Plants.label(plants, id))}</td>
+          <td>${esc(Plants.stageLabel(plant.stage))}</td>
+          <td>${age != null ? `${age} d` : ''}</td>
+          <td>${stats.latest.heightCm != null ? `${stats.latest.heightCm} cm` : ''}</td>
+          <td>${stats.latest.leaves != null ? stats.latest.leaves : ''}</td>
+          <td>${stats.latest.health != null ? `${stats.latest.health}/5` : ''}</td>
+          <td>${stats.harvests ? `${round(stats.harvestG)} g` : ''}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const curves = GROWTH_FIELDS
+      .map(key => Plants.OBSERVATION_FIELDS.find(f => f.key === key))
+      .filter(field => entries.filter(e => (e.observations || []).some(o => o[field.key] != null)).length >= 2);
+
+    area.innerHTML = `
+      <div class="totals-panel plants-panel">
+        <h4>Plants</h4>
+        <div class="plants-table-wrap">
+          <table class="plants-table">
+            <thead>
+              <tr><th>Plant</th><th>Stage</th><th title="Days since transplant (or sowing)">Age</th><th>Height</th><th>Leaves</th><th>Health</th><th>Harvested</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        ${summary.yieldG ? `<p class="plants-yield">Total yield: <strong>${round(summary.yieldG)} g</strong></p>` : ''}
+        ${curves.length ? `
+          <div class="chart-panels">
+            ${curves.map(field => `
+              <div class="chart-panel">
+                <h5>${esc(field.label)}${field.unit ? ` (${esc(field.unit)})` : ''}</h5>
+                <div class="chart-canvas"><canvas data-growth="${field.key}"></canvas></div>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+
+    if (curves.length === 0) return;
+    loadChartLibs().then(() => {
+      if (!area.isConnected) return;
+      curves.forEach(field => {
+        const canvas = $(`canvas[data-growth="${field.key}"]`, area);
+        charts.push(buildGrowthChart(canvas, entries, ids, plants, field.key));
+      });
+    }).catch(() => {
+      $$('.chart-panels', area).forEach(el => el.remove());
+    });
+  }
+
+  // One line per plant for an observation field
+  function buildGrowthChart(canvas, entries, ids, plants, key) {
+    const observed = entries.filter(e => (e.observations || []).some(o => o[key] != null));
+    const datasets = ids.map((id, i) => {
+      const color = SERIES_COLORS[i % SERIES_COLORS.length];
+      return {
+        label: Plants.label(plants, id),
+        data: observed.flatMap(e => (e.observations || [])
+          .filter(o => o.plant === id && o[key] != null)
+          .map(o => ({ x: entryTime(e), y: o[key] }))),
+        borderColor: color,
+        backgroundColor: withAlpha(color, 0.1),
         tension: 0.3,
-        spanGaps: true
+        pointRadius: 3
+      };
+    }).filter(d => d.data.length > 0);
+
+    return lineChart(canvas, datasets, {
+      xMin: entryTime(observed[0]),
+      xMax: entryTime(observed[observed.length - 1]),
+      legend: datasets.length > 1,
+      suggestedMin: 0
+    });
+  }
+
+  // ── Calendar ────────────────────────────────────────
+
+  // This many days or more without a measurement is flagged as a gap
+  const READING_GAP_DAYS = 4;
+  const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  // Every experiment's entries, defs and meta, loaded once per page load
+  let calendarData = null;
+
+  function loadCalendarData() {
+    if (!calendarData) {
+      calendarData = Promise.all(experiments.map(async (exp, i) => {
+        const [entries, defs, meta] = await Promise.all([
+          JournalEntries.loadAll(exp.id).catch(() => []),
+          Measurements.load(exp.id),
+          loadMeta(exp.id)
+        ]);
+        entries.sort((a, b) => entryTime(a) - entryTime(b));
+        return {
+          exp,
+          entries,
+          defs,
+          targets: (meta && meta.targets) || {},
+          plants: (meta && meta.plants) || [],
+          color: SERIES_COLORS[i % SERIES_COLORS.length]
+        };
+      })).then(runs => {
+        // date → [{ run, entry }] across all experiments
+        const byDate = new Map();
+        runs.forEach(run => run.entries.forEach(entry => {
+          if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+          byDate.get(entry.date).push({ run, entry });
+        }));
+        return { runs, byDate, gaps: runs.flatMap(readingGaps) };
       });
     }
-    if (tempData.some(v => v != null)) {
-      datasets.push({
-        label: 'Water Temp (°C)',
-        data: tempData,
-        borderColor: '#ef6c00',
-        backgroundColor: 'rgba(239,108,0,0.1)',
-        yAxisID: 'y1',
-        tension: 0.3,
-        spanGaps: true
+    return calendarData;
+  }
+
+  function calendarHash(month, day) {
+    const params = new URLSearchParams();
+    if (month) params.set('month', month);
+    if (day) params.set('day', day);
+    const str = params.toString();
+    return str ? `#calendar?${str}` : '#calendar';
+  }
+
+  function isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function addDays(date, days) {
+    const d = new Date(date + 'T00:00:00');
+    d.setDate(d.getDate() + days);
+    return isoDate(d);
+  }
+
+  function daysBetween(from, to) {
+    return Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / DAY_MS);
+  }
+
+  /**
+   * readingGaps — stretches without a measurement in one experiment
+   *
+   * Returns [{ run, from, to, days }] where from/to are the last and next
+   * reading dates. An active experiment's silence since its last reading
+   * counts too, running up to today.
+   */
+  function readingGaps(run) {
+    const dates = [...new Set(run.entries
+      .filter(e => e.measurements && Object.values(e.measurements).some(v => v != null))
+      .map(e => e.date))];
+    if (run.exp.status === 'active' && dates.length > 0) dates.push(isoDate(new Date()));
+
+    const gaps = [];
+    for (let i = 1; i < dates.length; i++) {
+      const days = daysBetween(dates[i - 1], dates[i]);
+      if (days >= READING_GAP_DAYS) gaps.push({ run, from: dates[i - 1], to: dates[i], days });
+    }
+    return gaps;
+  }
+
+  function dayHasOutOfRange(items) {
+    return items.some(({ run, entry }) => Object.entries(entry.measurements || {})
+      .some(([key, value]) => Measurements.targetStatus(run.targets, key, value)));
+  }
+
+  /**
+   * showCalendar — month grid of entries across every experiment
+   *
+   * Each day shows a dot per experiment with entries, a flag for readings
+   * outside target and a photo marker; days inside a reading gap are
+   * shaded. Clicking a day lists its entries underneath.
+   */
+  async function showCalendar(month, day) {
+    currentExperiment = null;
+    detailReady = null;
+    stopTimelapse();
+    destroyCharts();
+
+    const today = isoDate(new Date());
+    const shown = /^\d{4}-\d{2}$/.test(month || '') ? month : today.slice(0, 7);
+
+    contentEl.innerHTML = '<div class="loading">Loading calendar...</div>';
+    const data = await loadCalendarData();
+    // Navigated elsewhere while loading
+    if (parseRoute(window.location.hash.slice(1)).view !== 'calendar') return;
+
+    const [year, monthIndex] = shown.split('-').map(Number);
+    const first = new Date(year, monthIndex - 1, 1);
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    const lead = (first.getDay() + 6) % 7;
+    const prev = isoDate(new Date(year, monthIndex - 2, 1)).slice(0, 7);
+    const next = isoDate(new Date(year, monthIndex, 1)).slice(0, 7);
+    const monthStart = `${shown}-01`;
+    const monthEnd = `${shown}-${String(daysInMonth).padStart(2, '0')}`;
+
+    // Gaps overlapping this month, and which days each one covers
+    const monthGaps = data.gaps.filter(g => g.from < monthEnd && g.to > monthStart);
+    const gapsOn = (date) => monthGaps.filter(g => date > g.from && date < g.to);
+
+    const cells = [];
+    for (let i = 0; i < lead; i++) cells.push('<div class="calendar-day empty"></div>');
+    for (let d = 1; d <= daysInMonth; d++) {
+      const date = `${shown}-${String(d).padStart(2, '0')}`;
+      const items = data.byDate.get(date) || [];
+      const runs = [...new Set(items.map(i => i.run))];
+      const gaps = gapsOn(date);
+      const photos = items.some(({ entry }) => (entry.images || []).length > 0);
+      const outOfRange = dayHasOutOfRange(items);
+      const title = [
+        ...runs.map(r => r.exp.name),
+        ...gaps.map(g => `${g.run.exp.name}: no reading for ${g.days} days`)
+      ].join('\n');
+
+      cells.push(`
+        <button type="button" class="calendar-day${items.length ? ' has-entries' : ''}${gaps.length ? ' gap' : ''}${date === today ? ' today' : ''}${date === day ? ' selected' : ''}"
+          data-date="${date}"${title ? ` title="${esc(title)}"` : ''}>
+          <span class="calendar-date">${d}</span>
+          <span class="calendar-dots">
+            ${runs.map(r => `<span class="calendar-dot" style="background:${r.color}"></span>`).join('')}
+          </span>
+          <span class="calendar-flags">
+            ${outOfRange ? '<span class="calendar-flag out-of-range" title="Reading outside target">!</span>' : ''}
+            ${photos ? '<span class="calendar-flag photo" title="Photos">&#9635;</span>' : ''}
+          </span>
+        </button>
+      `);
+    }
+
+    const legend = data.runs.filter(r => r.entries.length > 0);
+
+    contentEl.innerHTML = `
+      <div class="experiment-detail-header">
+        <button class="back-btn" id="back-btn">&larr; Back</button>
+        <h2>Calendar</h2>
+      </div>
+      <div class="calendar-nav">
+        <a href="${calendarHash(prev)}" class="back-btn" aria-label="Previous month">&larr;</a>
+        <h3>${first.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</h3>
+        <a href="${calendarHash(next)}" class="back-btn" aria-label="Next month">&rarr;</a>
+        ${shown !== today.slice(0, 7) ? `<a href="${calendarHash(today.slice(0, 7))}" class="calendar-today-link">Today</a>` : ''}
+      </div>
+      <div class="calendar-grid">
+        ${WEEKDAYS.map(w => `<div class="calendar-weekday">${w}</div>`).join('')}
+        ${cells.join('')}
+      </div>
+      <div class="calendar-legend">
+        ${legend.map(r => `<span><span class="calendar-dot" style="background:${r.color}"></span>${esc(r.exp.name)}</span>`).join('')}
+        <span><span class="calendar-flag out-of-range">!</span>outside target</span>
+        <span><span class="calendar-flag photo">&#9635;</span>photos</span>
+        <span><span class="calendar-gap-swatch"></span>${READING_GAP_DAYS}+ days without a reading</span>
+      </div>
+      ${monthGaps.length ? `
+        <ul class="calendar-gaps">
+          ${monthGaps.map(g => `
+            <li><strong>${esc(g.run.exp.name)}</strong>: no reading for ${g.days} days
+              (${formatDate(g.from)} – ${g.to === today && g.run.exp.status === 'active' ? 'today' : formatDate(g.to)})</li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      <div id="calendar-day-area"></div>
+    `;
+
+    $('#back-btn').addEventListener('click', () => {
+      window.location.hash = lastListHash || '';
+    });
+    $$('.calendar-day[data-date]', contentEl).forEach(cell => {
+      cell.addEventListener('click', () => {
+        history.replaceState(null, '', calendarHash(shown, cell.dataset.date));
+        $$('.calendar-day.selected', contentEl).forEach(c => c.classList.remove('selected'));
+        cell.classList.add('selected');
+        renderCalendarDay(data, cell.dataset.date, gapsOn(cell.dataset.date));
+      });
+    });
+
+    if (day) renderCalendarDay(data, day, gapsOn(day));
+  }
+
+  // Every experiment's entries for one date, as timeline cards
+  function renderCalendarDay(data, date, gaps) {
+    const area = $('#calendar-day-area');
+    if (!area) return;
+
+    const items = data.byDate.get(date) || [];
+    const runs = [...new Set(items.map(i => i.run))];
+
+    area.innerHTML = `
+      <h3 class="calendar-day-title">${formatDate(date)}</h3>
+      ${gaps.map(g => `<p class="calendar-gap-note">${esc(g.run.exp.name)}: no reading for ${g.days} days around this date.</p>`).join('')}
+      ${runs.length === 0 ? '<div class="empty-state"><p>No entries on this day.</p></div>' : ''}
+      ${runs.map(run => `
+        <section class="calendar-day-experiment">
+          <h4><span class="calendar-dot" style="background:${run.color}"></span>
+            <a href="${experimentHash(run.exp.id)}">${esc(run.exp.name)}</a></h4>
+          <div class="entry-timeline">
+            ${items.filter(i => i.run === run)
+              .map(({ entry }) => renderEntry(entry, run.exp, run.defs, run.targets, run.plants)).join('')}
+          </div>
+        </section>
+      `).join('')}
+    `;
+
+    $$('.calendar-day-experiment', area).forEach((section, i) => {
+      const run = runs[i];
+      $$('.entry-images img', section).forEach(img => {
+        img.addEventListener('click', () => {
+          lightboxPushed = true;
+          window.location.hash = photoHash(run.exp.id, img.dataset.path);
+        });
       });
+      $$('.delete-entry', section).forEach(btn => {
+        btn.addEventListener('click', () => deleteEntry(run.exp, btn.dataset.file, btn));
+      });
+    });
+
+    area.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // ── Compare ─────────────────────────────────────────
+
+  let compareRenderId = 0;
+
+  /**
+   * showCompare — overlay two or more experiments, aligned by days since
+   * each one's startDate
+   *
+   * One panel per measurement axis group, plus average plant height and
+   * cumulative yield, under a side-by-side summary table.
+   */
+  async function showCompare(ids) {
+    currentExperiment = null;
+    detailReady = null;
+    stopTimelapse();
+    destroyCharts();
+    const renderId = ++compareRenderId;
+
+    contentEl.innerHTML = `
+      <div class="experiment-detail-header">
+        <button class="back-btn" id="back-btn">&larr; Back</button>
+        <h2>Compare experiments</h2>
+      </div>
+      <fieldset class="compare-picker">
+        <legend>Experiments</legend>
+        ${experiments.map(e => `
+          <label>
+            <input type="checkbox" value="${esc(e.id)}"${ids.includes(e.id) ? ' checked' : ''}>
+            ${esc(e.name)} <span class="status-badge ${e.status}">${e.status}</span>
+          </label>
+        `).join('')}
+      </fieldset>
+      <div id="compare-area"></div>
+    `;
+
+    $('#back-btn').addEventListener('click', () => {
+      window.location.hash = lastListHash || '';
+    });
+    $$('.compare-picker input', contentEl).forEach(box => {
+      box.addEventListener('change', () => {
+        const selected = $$('.compare-picker input:checked', contentEl).map(b => b.value);
+        history.replaceState(null, '', compareHash(selected));
+        showCompare(selected);
+      });
+    });
+
+    const area = $('#compare-area');
+    if (ids.length < 2) {
+      area.innerHTML = '<div class="empty-state"><p>Pick two or more experiments to compare.</p></div>';
+      return;
     }
 
-    new Chart(ctx, {
-      type: 'line',
-      data: { labels, datasets },
-      options: {
-        responsive: true,
-        interaction: { mode: 'index', intersect: false },
-        scales: {
-          y: {
-            type: 'linear',
-            position: 'left',
-            title: { display: true, text: 'pH / EC' }
-          },
-          y1: {
-            type: 'linear',
-            position: 'right',
-            title: { display: true, text: '°C' },
-            grid: { drawOnChartArea: false }
-          }
-        }
+    area.innerHTML = '<div class="loading">Loading experiments...</div>';
+    const runs = await Promise.all(ids.map(loadCompareRun));
+    if (renderId !== compareRenderId) return;
+
+    const defs = unionDefs(runs);
+    const groups = new Map();
+    defs.forEach(def => {
+      if (!runs.some(run => run.entries.some(e => e.measurements && e.measurements[def.key] != null))) return;
+      if (!groups.has(def.axis)) groups.set(def.axis, []);
+      groups.get(def.axis).push(def);
+    });
+
+    const growth = [
+      { id: 'height', title: 'Average plant height (cm)', points: heightPoints },
+      { id: 'yield', title: 'Cumulative yield (g)', points: yieldPoints }
+    ].filter(g => runs.some(run => g.points(run).length > 0));
+
+    area.innerHTML = `
+      ${renderCompareTable(runs, defs)}
+      ${groups.size || growth.length ? `
+        <div class="chart-container">
+          <h4>By days since start</h4>
+          <div class="chart-panels">
+            ${[...groups.values()].map(group => `
+              <div class="chart-panel">
+                <h5>${esc(panelTitle(group))}</h5>
+                <div class="chart-canvas"><canvas data-axis="${esc(group[0].axis)}"></canvas></div>
+              </div>
+            `).join('')}
+            ${growth.map(g => `
+              <div class="chart-panel">
+                <h5>${esc(g.title)}</h5>
+                <div class="chart-canvas"><canvas data-growth="${g.id}"></canvas></div>
+              </div>
+            `).join('')}
+          </div>
+          <small class="chart-hint">Drag to pan; pinch or Ctrl + scroll to zoom.</small>
+        </div>
+      ` : '<div class="empty-state"><p>No measurements to chart yet.</p></div>'}
+    `;
+
+    if (groups.size === 0 && growth.length === 0) return;
+
+    const maxDay = Math.max(1, ...runs.flatMap(run => run.entries.map(e => run.day(e))));
+    try {
+      await loadChartLibs();
+    } catch (err) {
+      $('.chart-panels', area).innerHTML = `<div class="empty-state"><p>Could not load charts.</p><p>${esc(err.message)}</p></div>`;
+      return;
+    }
+    if (renderId !== compareRenderId) return;
+
+    [...groups.values()].forEach(group => {
+      const datasets = runs.flatMap(run => group.map((def, i) => ({
+        label: group.length > 1 ? `${run.exp.name} — ${def.label}` : run.exp.name,
+        data: run.entries
+          .filter(e => e.measurements && e.measurements[def.key] != null)
+          .map(e => ({ x: run.day(e), y: e.measurements[def.key] })),
+        borderDash: i > 0 ? [6, 4] : undefined
+      })).map(ds => styleRunDataset(ds, run)));
+      const canvas = $(`canvas[data-axis="${CSS.escape(group[0].axis)}"]`, area);
+      charts.push(lineChart(canvas, datasets.filter(ds => ds.data.length > 0), {
+        days: true, xMin: 0, xMax: maxDay, legend: true
+      }));
+    });
+
+    growth.forEach(g => {
+      const datasets = runs
+        .map(run => styleRunDataset({ label: run.exp.name, data: g.points(run), stepped: g.id === 'yield' }, run))
+        .filter(ds => ds.data.length > 0);
+      charts.push(lineChart($(`canvas[data-growth="${g.id}"]`, area), datasets, {
+        days: true, xMin: 0, xMax: maxDay, legend: true, suggestedMin: 0
+      }));
+    });
+  }
+
+  // Everything the comparison needs for one experiment; entries oldest first
+  async function loadCompareRun(id, i) {
+    const exp = experiments.find(e => e.id === id);
+    const [entries, meta, defs] = await Promise.all([
+      JournalEntries.loadAll(id).catch(() => []),
+      loadMeta(id),
+      Measurements.load(id)
+    ]);
+    entries.sort((a, b) => entryTime(a) - entryTime(b));
+
+    const start = new Date(`${exp.startDate}T00:00`).getTime();
+    return {
+      exp,
+      meta: meta || {},
+      defs,
+      entries,
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+      day: entry => Math.round((entryTime(entry) - start) / DAY_MS * 100) / 100
+    };
+  }
+
+  function styleRunDataset(ds, run) {
+    return {
+      ...ds,
+      borderColor: run.color,
+      backgroundColor: withAlpha(run.color, 0.1),
+      tension: ds.stepped ? 0 : 0.3,
+      pointRadius: 2
+    };
+  }
+
+  // Measurement definitions across all runs (experiments may have their own)
+  function unionDefs(runs) {
+    const byKey = new Map();
+    runs.forEach(run => run.defs.forEach(def => {
+      if (!byKey.has(def.key)) byKey.set(def.key, def);
+    }));
+    return [...byKey.values()];
+  }
+
+  // Mean height of the plants observed on each entry
+  function heightPoints(run) {
+    return run.entries.flatMap(e => {
+      const heights = (e.observations || []).map(o => o.heightCm).filter(h => h != null);
+      return heights.length ? [{ x: run.day(e), y: round(heights.reduce((a, b) => a + b, 0) / heights.length) }] : [];
+    });
+  }
+
+  // Running total of harvests, starting from zero on the first harvest day
+  function yieldPoints(run) {
+    let total = 0;
+    return run.entries.flatMap(e => {
+      const harvested = (e.observations || []).reduce((sum, o) => sum + (o.harvestG || 0), 0);
+      if (!harvested) return [];
+      total += harvested;
+      return [{ x: run.day(e), y: round(total) }];
+    });
+  }
+
+  function average(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }
+
+  function renderCompareTable(runs, defs) {
+    const lastDay = run => run.entries.length ? Math.floor(run.day(run.entries[run.entries.length - 1])) : null;
+    const plantCount = run => (run.meta.plants || []).reduce((sum, p) => sum + (p.count || 1), 0);
+
+    const rows = [
+      ['Status', run => `<span class="status-badge ${run.exp.status}">${run.exp.status}</span>`],
+      ['Started', run => formatDate(run.exp.startDate)],
+      ['Days logged', run => lastDay(run) != null ? String(lastDay(run)) : ''],
+      ['Entries', run => String(run.entries.length)],
+      ['System', run => esc(run.meta.system || '')],
+      ['Plants', run => (run.meta.plants || []).map(p =>
+        `${esc(p.variety)}${p.count > 1 ? ` &times;${p.count}` : ''}`).join(', ')],
+      ['Nutrients', run => esc(run.meta.nutrients || '')],
+      ...defs
+        .filter(def => runs.some(run => run.entries.some(e => e.measurements && e.measurements[def.key] != null)))
+        .map(def => [`Average ${esc(Measurements.labelWithUnit(def))}`, run => {
+          const avg = average(run.entries
+            .map(e => e.measurements && e.measurements[def.key])
+            .filter(v => v != null));
+          return avg != null ? Measurements.format(def, avg) : '';
+        }]),
+      ['Total yield', run => {
+        const { yieldG } = Plants.summarize(run.entries);
+        if (!yieldG) return '';
+        const perPlant = plantCount(run) ? ` <small>(${round(yieldG / plantCount(run))} g/plant)</small>` : '';
+        return `${round(yieldG)} g${perPlant}`;
+      }]
+    ];
+
+    return `
+      <div class="compare-table-wrap">
+        <table class="compare-table">
+          <thead>
+            <tr>
+              <th></th>
+              ${runs.map(run => `
+                <th><span class="compare-swatch" style="background:${run.color}"></span><a href="${experimentHash(run.exp.id)}">${esc(run.exp.name)}</a></th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, cell]) => `
+              <tr><th scope="row">${label}</th>${runs.map(run => `<td>${cell(run)}</td>`).join('')}</tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // ── Export ──────────────────────────────────────────
+
+  async function exportExperiment(exp, format) {
+    // Open the report window inside the click, before any await, so it
+    // isn't treated as an unsolicited pop-up
+    const reportWindow = format === 'report' ? window.open('', '_blank') : null;
+    if (format === 'report' && !reportWindow) {
+      alert('Allow pop-ups for this site to open the printable report.');
+      return;
+    }
+
+    try {
+      if (detailReady) await detailReady;
+      const entries = currentEntries;
+      const meta = await loadMeta(exp.id);
+
+      if (format === 'json') {
+        JournalExport.download(`${exp.id}.json`, JournalExport.bundle(exp, meta, entries), 'application/json');
+        return;
       }
+
+      const defs = await Measurements.load(exp.id);
+
+      if (format === 'csv') {
+        JournalExport.download(`${exp.id}.csv`, JournalExport.csv(entries, defs, meta && meta.plants), 'text/csv');
+        return;
+      }
+
+      const html = JournalExport.report({
+        exp,
+        meta,
+        entries,
+        defs,
+        targets: (meta && meta.targets) || {},
+        chartImage: chartImage(),
+        baseUrl: new URL(BASE, window.location.href).href
+      });
+      reportWindow.document.open();
+      reportWindow.document.write(html);
+      reportWindow.document.close();
+      // Wait for thumbnails so they make it onto the page
+      reportWindow.addEventListener('load', () => reportWindow.print());
+    } catch (err) {
+      if (reportWindow) reportWindow.close();
+      alert(`Export failed: ${err.message}`);
+    }
+  }
+
+  // PNG of the chart panels stacked, or null when none are drawn (e.g. hidden tab)
+  function chartImage() {
+    const canvases = $$('.chart-panel canvas').filter(c => c.width && c.height);
+    if (canvases.length === 0) return null;
+
+    const out = document.createElement('canvas');
+    out.width = Math.max(...canvases.map(c => c.width));
+    out.height = canvases.reduce((sum, c) => sum + c.height, 0);
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, out.width, out.height);
+    canvases.reduce((y, c) => {
+      ctx.drawImage(c, 0, y);
+      return y + c.height;
+    }, 0);
+    return out.toDataURL('image/png');
+  }
+
+  // ── Experiment Settings ─────────────────────────────
+
+  async function openExperimentSettings(exp) {
+    const dialog = $('#experiment-settings-dialog');
+    if (!dialog) return;
+
+    const meta = { ...exp, ...(await loadMeta(exp.id)) };
+
+    $('#settings-name').value = meta.name || '';
+    $('#settings-description').value = meta.description || '';
+    $('#settings-system').innerHTML = '<option value="">Not set</option>' +
+      SYSTEM_TYPES.map(t => `<option>${esc(t)}</option>`).join('') +
+      // Keep a custom value from hand-edited JSON selectable
+      (meta.system && !SYSTEM_TYPES.includes(meta.system) ? `<option>${esc(meta.system)}</option>` : '');
+    $('#settings-system').value = meta.system || '';
+    $('#settings-nutrients').value = meta.nutrients || '';
+    $('#settings-status').innerHTML = STATUSES.map(st => `<option value="${st}">${st}</option>`).join('');
+    $('#settings-status').value = meta.status || 'active';
+    $('#settings-end').value = meta.endDate || '';
+    $('#settings-status-msg').innerHTML = '';
+
+    const defs = await Measurements.load(exp.id);
+    const targets = meta.targets || {};
+    $('#settings-targets').innerHTML = defs.map(def => {
+      const band = targets[def.key] || {};
+      return `
+        <div class="target-row" data-key="${def.key}">
+          <span>${esc(Measurements.labelWithUnit(def))}</span>
+          <input type="number" class="target-min" step="any" placeholder="min" aria-label="${esc(def.label)} minimum" value="${band.min ?? ''}">
+          <input type="number" class="target-max" step="any" placeholder="max" aria-label="${esc(def.label)} maximum" value="${band.max ?? ''}">
+        </div>
+      `;
+    }).join('');
+
+    const plantRows = $('#settings-plants');
+    plantRows.innerHTML = '';
+    (meta.plants || []).forEach(p => addPlantRow(plantRows, p));
+
+    const taskRows = $('#settings-tasks');
+    taskRows.innerHTML = '';
+    (meta.tasks || []).forEach(t => addTaskRow(taskRows, t, defs));
+
+    $('#add-plant').onclick = () => addPlantRow(plantRows, {});
+    $('#add-task').onclick = () => addTaskRow(taskRows, { everyDays: 1 }, defs);
+    $('#settings-status').onchange = syncEndDate;
+    $('#cancel-settings').onclick = () => dialog.close();
+    $('#experiment-settings-form').onsubmit = async (e) => {
+      e.preventDefault();
+      await saveExperimentSettings(exp);
+    };
+
+    syncEndDate();
+    dialog.showModal();
+  }
+
+  // End date only applies once an experiment is finished
+  function syncEndDate() {
+    const finished = ['completed', 'archived'].includes($('#settings-status').value);
+    const endInput = $('#settings-end');
+    $('#settings-end-field').classList.toggle('hidden', !finished);
+    endInput.required = finished;
+    if (finished && !endInput.value) {
+      endInput.value = new Date().toISOString().split('T')[0];
+    }
+  }
+
+  function addPlantRow(container, plant) {
+    const row = document.createElement('div');
+    row.className = 'plant-row';
+    row.dataset.id = plant.id || '';
+    row.innerHTML = `
+      <input type="text" class="plant-variety" placeholder="Variety" value="${esc(plant.variety)}" required>
+      <input type="number" class="plant-count" min="1" step="1" placeholder="Count" value="${plant.count || 1}">
+      <button type="button" class="secondary outline remove-plant" aria-label="Remove plant">&times;</button>
+      <label class="plant-sow-field"><small>Sown</small>
+        <input type="date" class="plant-sow" value="${plant.sowDate || ''}">
+      </label>
+      <label class="plant-transplant-field"><small>Transplanted</small>
+        <input type="date" class="plant-transplant" value="${plant.transplantDate || ''}">
+      </label>
+      <label class="plant-stage-field"><small>Stage</small>
+        <select class="plant-stage">
+          <option value="">—</option>
+          ${Object.entries(Plants.STAGES).map(([value, label]) =>
+            `<option value="${value}"${plant.stage === value ? ' selected' : ''}>${label}</option>`
+          ).join('')}
+        </select>
+      </label>
+    `;
+    $('.remove-plant', row).addEventListener('click', () => row.remove());
+    container.appendChild(row);
+  }
+
+  // Read plant rows back; new plants have an empty id until assignIds()
+  function readPlantRows() {
+    return $$('#settings-plants .plant-row').map(r => ({
+      id: r.dataset.id,
+      variety: $('.plant-variety', r).value.trim(),
+      count: parseInt($('.plant-count', r).value) || 1,
+      sowDate: $('.plant-sow', r).value,
+      transplantDate: $('.plant-transplant', r).value,
+      stage: $('.plant-stage', r).value
+    })).filter(p => p.variety);
+  }
+
+  function addTaskRow(container, task, defs) {
+    const row = document.createElement('div');
+    row.className = 'task-row';
+    row.dataset.id = task.id || '';
+    row.dataset.lastDone = task.lastDone || '';
+    const measured = task.measurements || [];
+    row.innerHTML = `
+      <input type="text" class="task-title" placeholder="Task, e.g. Check pH &amp; EC" value="${esc(task.title)}" required>
+      <label class="task-every-field"><small>Every (days)</small>
+        <input type="number" class="task-every" min="1" step="1" value="${task.everyDays || 1}" required>
+      </label>
+      <button type="button" class="secondary outline remove-task" aria-label="Remove task">&times;</button>
+      <div class="task-measurements">
+        <small>Log</small>
+        ${defs.map(def => `
+          <label><input type="checkbox" value="${def.key}"${measured.includes(def.key) ? ' checked' : ''}> ${esc(def.label)}</label>
+        `).join('')}
+      </div>
+      <label class="task-action-field"><small>Action</small>
+        <select class="task-action">
+          <option value="">None</option>
+          ${Object.entries(EntryActions.TYPES).map(([type, t]) =>
+            `<option value="${type}"${task.action === type ? ' selected' : ''}>${t.label}</option>`
+          ).join('')}
+        </select>
+      </label>
+    `;
+    $('.remove-task', row).addEventListener('click', () => row.remove());
+    container.appendChild(row);
+  }
+
+  // Read task rows back; new tasks have an empty id until assignIds()
+  function readTaskRows() {
+    return $$('#settings-tasks .task-row').map(r => {
+      const task = {
+        id: r.dataset.id,
+        title: $('.task-title', r).value.trim(),
+        everyDays: Math.max(1, parseInt($('.task-every', r).value) || 1),
+        measurements: $$('.task-measurements input:checked', r).map(input => input.value)
+      };
+      if ($('.task-action', r).value) task.action = $('.task-action', r).value;
+      if (r.dataset.lastDone) task.lastDone = r.dataset.lastDone;
+      return task;
+    }).filter(t => t.title);
+  }
+
+  /**
+   * assignIds — give items without an id the next <prefix><N>
+   *
+   * N is never reused: it is above every id in usedIds and above lastSeq,
+   * the highest number meta.json records as issued, so a removed plant's
+   * observations and photos never pass to a new one.
+   * Returns { items, last } without touching the input.
+   */
+  function assignIds(items, prefix, usedIds, lastSeq) {
+    const pattern = new RegExp(`^${prefix}(\\d+)$`);
+    let last = usedIds.reduce((max, id) => {
+      const match = pattern.exec(id || '');
+      return match ? Math.max(max, parseInt(match[1])) : max;
+    }, lastSeq || 0);
+    return {
+      items: items.map(item => item.id ? item : { ...item, id: `${prefix}${++last}` }),
+      last
+    };
+  }
+
+  // Plant ids tagged on the open experiment's observations and photos
+  function observedPlantIds(exp) {
+    if (!currentExperiment || currentExperiment.id !== exp.id) return [];
+    return currentEntries.flatMap(entry => [
+      ...(entry.observations || []).map(o => o.plant),
+      ...(entry.images || []).map(img => img.plant)
+    ]).filter(Boolean);
+  }
+
+  // Only measurements with at least one bound are stored
+  function readTargetRows() {
+    const targets = {};
+    $$('#settings-targets .target-row').forEach(row => {
+      const min = $('.target-min', row).value;
+      const max = $('.target-max', row).value;
+      if (min === '' && max === '') return;
+      targets[row.dataset.key] = {};
+      if (min !== '') targets[row.dataset.key].min = parseFloat(min);
+      if (max !== '') targets[row.dataset.key].max = parseFloat(max);
     });
+    return targets;
+  }
+
+  async function saveExperimentSettings(exp) {
+    const statusEl = $('#settings-status-msg');
+    const dialog = $('#experiment-settings-dialog');
+
+    const name = $('#settings-name').value.trim();
+    if (!name) return;
+
+    const status = $('#settings-status').value;
+    const finished = ['completed', 'archived'].includes(status);
+    const changes = {
+      name,
+      description: $('#settings-description').value.trim(),
+      system: $('#settings-system').value,
+      plants: readPlantRows(),
+      tasks: readTaskRows(),
+      targets: readTargetRows(),
+      nutrients: $('#settings-nutrients').value.trim(),
+      status,
+      endDate: finished ? $('#settings-end').value : undefined
+    };
+
+    statusEl.innerHTML = '<div class="alert alert-success">Saving...</div>';
+
+    const token = Auth.getToken();
+    const owner = Auth.getOwner();
+    const repo = Auth.getRepo();
+    const metaPath = `docs/data/experiments/${exp.id}/meta.json`;
+
+    let savedMeta = null;
+    let savedSummary = null;
+
+    // Merge into the latest meta.json / experiments.json so fields edited
+    // elsewhere (or unknown to this form) survive
+    const buildFiles = async (headSha) => {
+      const meta = (await GitHubAPI.getFileContent(token, owner, repo, metaPath, headSha)) || { id: exp.id, startDate: exp.startDate };
+      savedMeta = { ...meta, ...changes };
+      if (!finished) delete savedMeta.endDate;
+
+      const plants = assignIds(changes.plants, 'p', [
+        ...(meta.plants || []).map(p => p.id),
+        ...changes.plants.map(p => p.id),
+        ...observedPlantIds(exp)
+      ], meta.lastPlantId);
+      savedMeta.plants = plants.items;
+      if (plants.last) savedMeta.lastPlantId = plants.last;
+      // A removed task's id may still be in the outbox or the reminders store
+      const tasks = assignIds(changes.tasks, 't', [
+        ...(meta.tasks || []).map(t => t.id),
+        ...changes.tasks.map(t => t.id)
+      ], meta.lastTaskId);
+      if (tasks.last) savedMeta.lastTaskId = tasks.last;
+      // An entry completing a task may have been committed since the dialog opened
+      savedMeta.tasks = tasks.items.map(task => {
+        const latest = (meta.tasks || []).find(t => t.id === task.id);
+        return latest && latest.lastDone > (task.lastDone || '') ? { ...task, lastDone: latest.lastDone } : task;
+      });
+
+      const expData = (await GitHubAPI.getFileContent(token, owner, repo, 'docs/data/experiments.json', headSha)) || { experiments: [] };
+      const summary = expData.experiments.find(e => e.id === exp.id);
+      if (!summary) throw new Error('Experiment is missing from experiments.json.');
+      Object.assign(summary, {
+        name: changes.name,
+        description: changes.description,
+        status: changes.status,
+        endDate: changes.endDate,
+        system: changes.system
+      });
+      if (!finished) delete summary.endDate;
+      savedSummary = summary;
+
+      return [
+        { path: metaPath, content: JSON.stringify(savedMeta, null, 2) },
+        { path: 'docs/data/experiments.json', content: JSON.stringify(expData, null, 2) }
+      ];
+    };
+
+    try {
+      await GitHubAPI.commitFiles(token, owner, repo, `experiment: update ${exp.id}`, buildFiles);
+
+      // Pages lags behind the commit, so update the local copies directly
+      metaCache.set(exp.id, savedMeta);
+      JournalSearch.reset();
+      calendarData = null;
+      Object.keys(exp).forEach(k => delete exp[k]);
+      Object.assign(exp, savedSummary);
+
+      statusEl.innerHTML = '<div class="alert alert-success">Saved!</div>';
+      setTimeout(() => {
+        dialog.close();
+        detailReady = showExperiment(exp.id);
+      }, 600);
+    } catch (err) {
+      statusEl.innerHTML = `<div class="alert alert-error">Error: ${esc(err.message)}</div>`;
+    }
   }
 
   // ── New Experiment Dialog ────────────────────────────
@@ -407,21 +2461,8 @@
     const repo = Auth.getRepo();
 
     try {
-      // 1. Read current experiments.json
-      let expData = await GitHubAPI.getFileContent(token, owner, repo, 'docs/data/experiments.json');
-      if (!expData) expData = { experiments: [] };
-
-      // Check for duplicate ID
-      if (expData.experiments.some(e => e.id === id)) {
-        statusEl.innerHTML = '<div class="alert alert-error">An experiment with this ID already exists.</div>';
-        return;
-      }
-
-      // 2. Add new experiment
       const newExp = { id, name, description, startDate, status: 'active' };
-      expData.experiments.push(newExp);
 
-      // 3. Build all files to commit
       const meta = {
         id, name, description, startDate,
         status: 'active',
@@ -430,14 +2471,30 @@
         nutrients: ''
       };
 
-      const files = [
-        { path: 'docs/data/experiments.json', content: JSON.stringify(expData, null, 2) },
-        { path: `docs/data/experiments/${id}/meta.json`, content: JSON.stringify(meta, null, 2) },
-        { path: `docs/data/experiments/${id}/entries/index.json`, content: JSON.stringify({ entries: [] }, null, 2) }
-      ];
+      // Rebuilt from the latest experiments.json if someone else commits first
+      const buildFiles = async (headSha) => {
+        // 1. Read current experiments.json
+        let expData = await GitHubAPI.getFileContent(token, owner, repo, 'docs/data/experiments.json', headSha);
+        if (!expData) expData = { experiments: [] };
+
+        // Check for duplicate ID
+        if (expData.experiments.some(e => e.id === id)) {
+          throw new Error('An experiment with this ID already exists.');
+        }
+
+        // 2. Add new experiment
+        expData.experiments.push(newExp);
+
+        // 3. Build all files to commit
+        return [
+          { path: 'docs/data/experiments.json', content: JSON.stringify(expData, null, 2) },
+          { path: `docs/data/experiments/${id}/meta.json`, content: JSON.stringify(meta, null, 2) },
+          { path: `docs/data/experiments/${id}/entries/index.json`, content: JSON.stringify({ entries: [] }, null, 2) }
+        ];
+      };
 
       // 4. Commit
-      await GitHubAPI.commitFiles(token, owner, repo, `experiment: create ${id}`, files);
+      await GitHubAPI.commitFiles(token, owner, repo, `experiment: create ${id}`, buildFiles);
 
       statusEl.innerHTML = '<div class="alert alert-success">Experiment created!</div>';
 
@@ -455,10 +2512,39 @@
 
   // ── Helpers ─────────────────────────────────────────
 
-  function esc(str) {
-    const div = document.createElement('div');
-    div.textContent = str || '';
-    return div.innerHTML;
+  /**
+   * thumbSrc — src/srcset attributes for a photo shown small
+   *
+   * Loads the thumbnail, offering the full-size file to screens that need
+   * more pixels for the slot `sizes` describes. Photos from before
+   * thumbnails existed use the full file.
+   */
+  function thumbSrc(img, sizes) {
+    if (!img.thumb) return `src="${esc(BASE + img.path)}"`;
+    const srcset = img.thumbWidth && img.width
+      ? ` srcset="${esc(`${BASE}${img.thumb} ${img.thumbWidth}w, ${BASE}${img.path} ${img.width}w`)}" sizes="${sizes}"`
+      : '';
+    return `src="${esc(BASE + img.thumb)}"${srcset}`;
+  }
+
+  // Caption · tags · plant, for tooltips and captions
+  function photoLabel(img, plants) {
+    return [
+      img.caption,
+      img.tags.join(', '),
+      img.plant ? Plants.label(plants, img.plant) : ''
+    ].filter(Boolean).join(' · ');
+  }
+
+  // Trim float noise from summed volumes (0.1 + 0.2)
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // '#1976d2' → 'rgba(25,118,210,0.1)'
+  function withAlpha(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
   }
 
   function formatDate(dateStr) {
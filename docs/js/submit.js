@@ -3,18 +3,63 @@
 (function () {
   'use strict';
 
-  const MAX_IMAGE_DIMENSION = 1200;
-  const JPEG_QUALITY = 0.8;
+  // Autosave this long after the last keystroke
+  const DRAFT_SAVE_DELAY_MS = 800;
 
-  const $ = (sel) => document.querySelector(sel);
-  const $$ = (sel) => [...document.querySelectorAll(sel)];
+  // Compression worker, created on first use; null when unsupported or broken
+  let compressWorker;
+  let compressJobId = 0;
+  const compressJobs = new Map();
 
-  let selectedFiles = [];
+  const $ = (sel, el) => (el || document).querySelector(sel);
+  const $$ = (sel, el) => [...(el || document).querySelectorAll(sel)];
+  const esc = Html.escape;
+
+  // New photos: { file, url, caption, tags, plant, exif } — exif is a promise from Exif.read()
+  let selectedPhotos = [];
+
+  // Set when app.html?experiment=<id>&entry=<filename> opens an existing entry
+  let editing = null;
+  // The edited entry's committed photos, normalised to { path, caption, tags, plant }
+  let existingImages = [];
+  // Set when app.html?experiment=<id>&task=<id> opens the form to complete a recurring task
+  let currentTask = null;
+
+  // Definitions for the selected experiment, from Measurements.load()
+  let measurementDefs = [];
+  // Values on an edited entry that the current schema doesn't know about
+  let extraMeasurements = {};
+  // Observations on an edited entry for plants no longer in meta.json
+  let extraObservations = [];
+  // Actions on an edited entry of a type the form doesn't offer, kept as they are
+  let extraActions = [];
+  // Target bands and plants from the selected experiment's meta.json
+  let currentTargets = {};
+  let currentPlants = [];
+  // "Keep current" on the capture-time offer, until more photos are added
+  let captureTimeDismissed = false;
+
+  // Draft the form is autosaving into (Drafts id), once something was typed
+  let currentDraftId = null;
+  let draftTimer = null;
+  let draftSaving = Promise.resolve();
+  // id → name, for labelling drafts
+  const experimentNames = new Map();
+  let measurementRenderId = 0;
 
   // ── Init ────────────────────────────────────────────
 
   function init() {
-    loadExperimentDropdown();
+    renderMeasurementFields('');
+    loadExperimentDropdown().then(loadEntryFromUrl).then(renderDraftBanner);
+
+    const select = $('#experiment-select');
+    if (select) {
+      select.addEventListener('change', () => {
+        if (currentTask && currentTask.experimentId !== select.value) clearTask();
+        renderMeasurementFields(select.value);
+      });
+    }
 
     // Set date default to today
     const dateInput = $('#entry-date');
@@ -29,20 +74,57 @@
       timeInput.value = now.toTimeString().slice(0, 5);
     }
 
+    // Reservoir actions
+    const addActionBtn = $('#add-action');
+    if (addActionBtn) {
+      addActionBtn.addEventListener('click', () => addActionRow({ type: 'nutrient' }));
+    }
+
     // Photo upload
     const photoInput = $('#photo-input');
     if (photoInput) {
       photoInput.addEventListener('change', onPhotosSelected);
     }
 
+    // In-app camera, where the browser has one; otherwise just the file picker
+    const cameraBtn = $('#camera-btn');
+    if (cameraBtn) {
+      cameraBtn.classList.toggle('hidden', !Camera.isSupported());
+      cameraBtn.addEventListener('click', openCamera);
+    }
+
     // Form submission
     const form = $('#entry-form');
     if (form) {
       form.addEventListener('submit', onSubmit);
+      // Autosave anything typed, picked or ticked
+      form.addEventListener('input', scheduleDraftSave);
+      form.addEventListener('change', scheduleDraftSave);
     }
 
+    // The app may be killed once it's in the background: save right away
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && draftTimer) saveDraftNow();
+    });
+    window.addEventListener('pagehide', () => {
+      if (draftTimer) saveDraftNow();
+    });
+
     // Check auth status
     updateAuthStatus();
+
+    // Queued offline entries: show them and try to send them now
+    const retryBtn = $('#outbox-retry');
+    if (retryBtn) {
+      retryBtn.addEventListener('click', flushOutbox);
+    }
+    window.addEventListener('online', flushOutbox);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'outbox-updated') renderOutbox();
+      });
+    }
+    renderOutbox().then(flushOutbox);
   }
 
   // ── Auth Status ─────────────────────────────────────
@@ -69,6 +151,7 @@
       if (!res.ok) throw new Error('Failed to load');
       const data = await res.json();
       const experiments = data.experiments || [];
+      experiments.forEach(e => experimentNames.set(e.id, e.name));
 
       select.innerHTML = '<option value="">Select experiment...</option>' +
         experiments.map(e =>
@@ -79,83 +162,687 @@
     }
   }
 
+  // ── Editing ─────────────────────────────────────────
+
+  async function loadEntryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const experimentId = params.get('experiment');
+    const filename = params.get('entry');
+    const taskId = params.get('task');
+    if (experimentId && taskId && !filename) {
+      await startTask(experimentId, taskId);
+      return;
+    }
+    if (!experimentId || !filename) return;
+
+    try {
+      const entry = await fetchEntry(experimentId, filename);
+      await startEditing(experimentId, filename, entry);
+    } catch (err) {
+      showError(`Could not load entry ${filename}: ${err.message}`);
+    }
+  }
+
+  // Prefer the API (Pages can lag a few minutes behind the last commit)
+  async function fetchEntry(experimentId, filename) {
+    if (Auth.isConfigured() && navigator.onLine) {
+      const entry = await GitHubAPI.getFileContent(
+        Auth.getToken(), Auth.getOwner(), Auth.getRepo(),
+        JournalEntries.entryPath(experimentId, filename)
+      );
+      if (entry) return entry;
+    }
+    const res = await fetch(`./data/experiments/${experimentId}/entries/${filename}`);
+    if (!res.ok) throw new Error('Entry not found');
+    return res.json();
+  }
+
+  async function startEditing(experimentId, filename, entry) {
+    editing = { experimentId, filename };
+    existingImages = (entry.images || []).map(JournalEntries.normalizeImage);
+    $('#experiment-select').disabled = true;
+
+    await fillForm(experimentId, entry);
+
+    $('#form-title').textContent = `Edit Entry ${filename.replace(/\.json$/, '')}`;
+    $('#submit-btn').textContent = submitLabel();
+  }
+
+  // Put an entry's (or a draft's) fields into the form
+  async function fillForm(experimentId, entry) {
+    $('#experiment-select').value = experimentId;
+    $('#entry-date').value = entry.date || '';
+    $('#entry-time').value = entry.time || '';
+    $('#entry-notes').value = entry.notes || '';
+
+    await renderMeasurementFields(experimentId);
+    extraMeasurements = { ...(entry.measurements || {}) };
+    measurementDefs.forEach(def => {
+      const value = extraMeasurements[def.key];
+      const input = $(`#measurement-${def.key}`);
+      input.value = value != null ? value : '';
+      checkTarget(input);
+      delete extraMeasurements[def.key];
+    });
+
+    $('#action-rows').innerHTML = '';
+    extraActions = [];
+    (entry.actions || []).forEach(action => {
+      if (EntryActions.TYPES[action.type]) addActionRow(action);
+      else extraActions.push(action);
+    });
+
+    fillObservations(entry.observations || []);
+
+    renderPhotoPreviews();
+  }
+
+  function stopEditing() {
+    editing = null;
+    existingImages = [];
+    extraMeasurements = {};
+    extraObservations = [];
+    extraActions = [];
+    $('#experiment-select').disabled = false;
+    $('#form-title').textContent = 'New Diary Entry';
+    $('#submit-btn').textContent = submitLabel();
+    history.replaceState(null, '', window.location.pathname);
+  }
+
+  function submitLabel() {
+    return editing ? 'Save Changes' : 'Submit Entry';
+  }
+
+  // ── Tasks ───────────────────────────────────────────
+
+  // Select the task's experiment and lay out what it should record
+  // A task that can't be found (e.g. since removed) just opens a plain new entry
+  async function startTask(experimentId, taskId) {
+    const meta = await fetchMeta(experimentId);
+    const task = (meta.tasks || []).find(t => t.id === taskId);
+
+    $('#experiment-select').value = experimentId;
+    await renderMeasurementFields(experimentId);
+    if (!task) {
+      history.replaceState(null, '', window.location.pathname);
+      return;
+    }
+    currentTask = { experimentId, id: task.id, title: task.title };
+
+    (task.measurements || []).forEach(key => {
+      const input = $(`#measurement-${key}`);
+      if (input) input.parentElement.classList.add('task-field');
+    });
+    if (task.action && EntryActions.TYPES[task.action]) addActionRow({ type: task.action });
+
+    renderTaskBanner();
+    const first = $('.task-field input');
+    if (first) first.focus();
+  }
+
+  // Prefer the API: a task added in Settings isn't on Pages for a few minutes
+  async function fetchMeta(experimentId) {
+    if (Auth.isConfigured() && navigator.onLine) {
+      try {
+        const meta = await GitHubAPI.getFileContent(
+          Auth.getToken(), Auth.getOwner(), Auth.getRepo(),
+          JournalEntries.metaPath(experimentId)
+        );
+        if (meta) return meta;
+      } catch {
+        // Fall back to the published copy
+      }
+    }
+    return loadMeta(experimentId);
+  }
+
+  function renderTaskBanner() {
+    const banner = $('#task-banner');
+    if (!banner) return;
+
+    banner.classList.toggle('hidden', !currentTask);
+    if (!currentTask) {
+      banner.innerHTML = '';
+      return;
+    }
+    banner.innerHTML = `
+      <span>Completing <strong>${esc(currentTask.title)}</strong> — submitting this entry marks it done.</span>
+      <button type="button" class="secondary outline" id="task-cancel">Don't mark done</button>
+    `;
+    $('#task-cancel').addEventListener('click', clearTask);
+  }
+
+  function clearTask() {
+    if (!currentTask) return;
+    currentTask = null;
+    $$('.task-field').forEach(el => el.classList.remove('task-field'));
+    renderTaskBanner();
+    history.replaceState(null, '', window.location.pathname);
+  }
+
+  // ── Measurement Fields ──────────────────────────────
+
+  async function renderMeasurementFields(experimentId) {
+    const container = $('#measurement-fields');
+    if (!container) return;
+
+    // Keep anything already typed when switching experiments
+    const typed = {};
+    $$('input[data-measurement]', container).forEach(input => {
+      if (input.value !== '') typed[input.dataset.measurement] = input.value;
+    });
+
+    // Quick experiment switches: only the latest render may win
+    const renderId = ++measurementRenderId;
+    const [defs, meta] = await Promise.all([
+      Measurements.load(experimentId),
+      loadMeta(experimentId)
+    ]);
+    if (renderId !== measurementRenderId) return;
+    measurementDefs = defs;
+    currentTargets = meta.targets || {};
+    currentPlants = meta.plants || [];
+    renderPlantOptions();
+    renderObservationFields();
+
+    container.innerHTML = measurementDefs.map(def => `
+      <div>
+        <label for="measurement-${def.key}">${esc(Measurements.labelWithUnit(def))}</label>
+        <input type="number" id="measurement-${def.key}" data-measurement="${def.key}"
+          step="${Measurements.step(def)}"
+          ${def.min != null ? `min="${def.min}"` : ''}
+          ${def.max != null ? `max="${def.max}"` : ''}
+          value="${typed[def.key] || ''}">
+        <small class="target-hint" id="target-hint-${def.key}"></small>
+      </div>
+    `).join('');
+
+    $$('input[data-measurement]', container).forEach(input => {
+      input.addEventListener('input', () => checkTarget(input));
+      checkTarget(input);
+    });
+  }
+
+  async function loadMeta(experimentId) {
+    if (!experimentId) return {};
+    try {
+      const res = await fetch(`./data/experiments/${experimentId}/meta.json`);
+      if (!res.ok) return {};
+      return await res.json();
+    } catch {
+      return {};
+    }
+  }
+
+  // Inline warning while typing when a value leaves the experiment's target band
+  function checkTarget(input) {
+    const key = input.dataset.measurement;
+    const hint = $(`#target-hint-${key}`);
+    const band = currentTargets[key];
+    if (!hint) return;
+
+    const value = input.value === '' ? null : parseFloat(input.value);
+    const status = Measurements.targetStatus(currentTargets, key, value);
+    const target = Measurements.formatTarget(band);
+
+    input.classList.toggle('out-of-range', !!status);
+    hint.classList.toggle('warning', !!status);
+    if (status) {
+      hint.textContent = `${status === 'low' ? 'Below' : 'Above'} target (${target})`;
+    } else {
+      hint.textContent = target ? `Target ${target}` : '';
+    }
+  }
+
+  // Build measurements object (only include non-empty); throws on out-of-range values
+  function readMeasurements() {
+    const measurements = { ...extraMeasurements };
+    measurementDefs.forEach(def => {
+      const raw = $(`#measurement-${def.key}`).value;
+      if (raw === '') return;
+      const value = parseFloat(raw);
+      if (!Measurements.inRange(def, value)) {
+        throw new Error(`${def.label} must be ${Measurements.describeRange(def)}.`);
+      }
+      measurements[def.key] = value;
+    });
+    return measurements;
+  }
+
+  // ── Reservoir Actions ───────────────────────────────
+
+  function addActionRow(action) {
+    const container = $('#action-rows');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'action-row';
+    row.innerHTML = `
+      <select class="action-type" aria-label="Action">
+        ${Object.entries(EntryActions.TYPES).map(([type, t]) =>
+          `<option value="${type}">${t.label}</option>`).join('')}
+      </select>
+      <div class="action-fields"></div>
+      <button type="button" class="secondary outline remove-action" aria-label="Remove action">&times;</button>
+    `;
+
+    const select = $('.action-type', row);
+    select.value = action.type;
+    select.addEventListener('change', () => renderActionFields(row, {}));
+    $('.remove-action', row).addEventListener('click', () => {
+      row.remove();
+      scheduleDraftSave();
+    });
+
+    renderActionFields(row, action);
+    container.appendChild(row);
+  }
+
+  function renderActionFields(row, action) {
+    const type = EntryActions.TYPES[$('.action-type', row).value];
+    $('.action-fields', row).innerHTML = type.fields.map(f => `
+      <input type="${f.type}" data-field="${f.key}" aria-label="${f.label}"
+        placeholder="${f.placeholder || f.label}"
+        ${f.type === 'number' ? 'step="any" min="0"' : ''}
+        value="${action[f.key] != null ? esc(String(action[f.key])) : ''}">
+    `).join('');
+  }
+
+  // Rows with no values filled in are ignored; unknown-type actions pass through
+  function readActions() {
+    const actions = $$('#action-rows .action-row').map(row => {
+      const action = { type: $('.action-type', row).value };
+      let filled = false;
+      $$('[data-field]', row).forEach(input => {
+        const raw = input.value.trim();
+        if (raw === '') return;
+        action[input.dataset.field] = input.type === 'number' ? parseFloat(raw) : raw;
+        filled = true;
+      });
+      // A reservoir change is meaningful even without a volume
+      return filled || action.type === 'reservoir-change' ? action : null;
+    }).filter(Boolean);
+    return [...extraActions, ...actions];
+  }
+
+  // ── Plant Observations ──────────────────────────────
+
+  // One row per plant in meta.json; hidden when the experiment has none
+  function renderObservationFields() {
+    const fieldset = $('#observation-fieldset');
+    const container = $('#observation-rows');
+    if (!fieldset || !container) return;
+
+    fieldset.classList.toggle('hidden', currentPlants.length === 0);
+    container.innerHTML = currentPlants.map(plant => `
+      <div class="observation-row" data-plant="${esc(plant.id)}">
+        <div class="observation-plant">
+          <strong>${esc(Plants.label(currentPlants, plant.id))}</strong>
+          ${plant.stage ? `<small>${esc(Plants.stageLabel(plant.stage))}</small>` : ''}
+        </div>
+        ${Plants.OBSERVATION_FIELDS.map(field => `
+          <label>
+            <small>${esc(field.label)}${field.unit ? ` (${esc(field.unit)})` : ''}</small>
+            <input type="number" data-observation="${field.key}"
+              min="${field.min}" max="${field.max}" step="${field.step}">
+          </label>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+
+  function fillObservations(observations) {
+    extraObservations = [];
+    observations.forEach(obs => {
+      const row = $$('#observation-rows .observation-row').find(r => r.dataset.plant === obs.plant);
+      if (!row) {
+        extraObservations.push(obs);
+        return;
+      }
+      Plants.OBSERVATION_FIELDS.forEach(field => {
+        $(`[data-observation="${field.key}"]`, row).value = obs[field.key] != null ? obs[field.key] : '';
+      });
+    });
+  }
+
+  // Observations with at least one value filled in; strict rejects out-of-range values
+  function readObservations(strict = true) {
+    const observations = $$('#observation-rows .observation-row').map(row => {
+      const obs = { plant: row.dataset.plant };
+      let filled = false;
+      Plants.OBSERVATION_FIELDS.forEach(field => {
+        const raw = $(`[data-observation="${field.key}"]`, row).value;
+        if (raw === '') return;
+        const value = parseFloat(raw);
+        if (strict && !(value >= field.min && value <= field.max)) {
+          throw new Error(`${Plants.label(currentPlants, obs.plant)}: ${field.label.toLowerCase()} must be between ${field.min} and ${field.max}.`);
+        }
+        obs[field.key] = value;
+        filled = true;
+      });
+      return filled ? obs : null;
+    }).filter(Boolean);
+    return [...extraObservations, ...observations];
+  }
+
   // ── Photo Handling ──────────────────────────────────
 
   function onPhotosSelected(e) {
-    const files = Array.from(e.target.files);
+    addPhotos(Array.from(e.target.files));
+    e.target.value = '';
+  }
+
+  // exif: known EXIF details (camera shots have none to read), else read from the file
+  function addPhotos(files, exif) {
+    const added = [];
     files.forEach(file => {
       if (!file.type.startsWith('image/')) return;
-      selectedFiles.push(file);
+      const photo = {
+        file,
+        url: URL.createObjectURL(file),
+        caption: '',
+        tags: [],
+        plant: '',
+        exif: exif ? Promise.resolve(exif) : Exif.read(file)
+      };
+      selectedPhotos.push(photo);
+      added.push(photo);
     });
     renderPhotoPreviews();
-    e.target.value = '';
+    scheduleDraftSave();
+
+    captureTimeDismissed = false;
+    Promise.all(added.map(p => p.exif)).then(offerCaptureTime);
   }
 
+  /**
+   * openCamera — shoot photos in the app, with the experiment's latest photo
+   * ghosted over the viewfinder so shots line up for the time-lapse
+   *
+   * Without camera support the file picker opens instead — synchronously,
+   * while the click still counts as a user gesture. When a camera turns out
+   * to be unusable after that, the user is pointed at the picker, since a
+   * programmatic click would be blocked by then.
+   */
+  async function openCamera() {
+    if (!Camera.isSupported()) {
+      $('#photo-input').click();
+      return;
+    }
+
+    const experimentId = $('#experiment-select').value;
+    const ghostSrc = experimentId ? await previousPhoto(experimentId) : null;
+
+    try {
+      await Camera.open({
+        ghostSrc,
+        onCapture: (file) => addPhotos([file], { orientation: 1, takenAt: localDateTime(new Date()), make: '', model: '' })
+      });
+    } catch (err) {
+      $('#camera-btn').classList.add('hidden');
+      showError(`Camera unavailable (${err.message || err.name}) — choose photos from your device instead.`);
+      $('#photo-input').focus();
+    }
+  }
+
+  // Latest committed photo of an experiment, or null
+  async function previousPhoto(experimentId) {
+    try {
+      const entries = await JournalEntries.loadAll(experimentId);
+      const withPhotos = entries
+        .filter(e => e.images.length > 0)
+        .sort((a, b) => (b.date + (b.time || '')).localeCompare(a.date + (a.time || '')));
+      if (withPhotos.length === 0) return null;
+      const images = withPhotos[0].images;
+      return `./${images[images.length - 1].path}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // "2026-02-11T14:32:05" in local time, like EXIF capture times
+  function localDateTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * offerCaptureTime — suggest the earliest capture time among the new
+   * photos as the entry's date and time (e.g. when uploading yesterday's
+   * photos today). Hidden when the form already matches it.
+   */
+  async function offerCaptureTime() {
+    const offer = $('#capture-time-offer');
+    if (!offer) return;
+
+    const infos = await Promise.all(selectedPhotos.map(p => p.exif));
+    const takenAt = infos
+      .map(info => info && info.takenAt)
+      .filter(Boolean)
+      .sort()[0];
+
+    const date = takenAt ? takenAt.slice(0, 10) : '';
+    const time = takenAt ? takenAt.slice(11, 16) : '';
+    const matches = $('#entry-date').value === date && $('#entry-time').value === time;
+
+    if (!takenAt || matches || captureTimeDismissed) {
+      offer.classList.add('hidden');
+      return;
+    }
+
+    offer.innerHTML = `
+      <span>Photo taken ${esc(date)} at ${esc(time)}.</span>
+      <button type="button" class="secondary" id="use-capture-time">Use for this entry</button>
+      <button type="button" class="secondary outline" id="dismiss-capture-time">Keep current</button>
+    `;
+    offer.classList.remove('hidden');
+
+    $('#use-capture-time', offer).addEventListener('click', () => {
+      $('#entry-date').value = date;
+      $('#entry-time').value = time;
+      offer.classList.add('hidden');
+      scheduleDraftSave();
+    });
+    $('#dismiss-capture-time', offer).addEventListener('click', () => {
+      captureTimeDismissed = true;
+      offer.classList.add('hidden');
+    });
+  }
+
+  function removeSelectedPhoto(idx) {
+    URL.revokeObjectURL(selectedPhotos[idx].url);
+    selectedPhotos.splice(idx, 1);
+  }
+
+  function clearSelectedPhotos() {
+    selectedPhotos.forEach(p => URL.revokeObjectURL(p.url));
+    selectedPhotos = [];
+  }
+
+  // Suggestions for the per-photo plant field (free text also allowed, e.g. "slot 3")
+  function renderPlantOptions() {
+    const list = $('#photo-plant-options');
+    if (!list) return;
+    list.innerHTML = currentPlants.map(p =>
+      `<option value="${esc(p.id)}">${esc(p.variety || p.id)}</option>`
+    ).join('');
+  }
+
+  /**
+   * renderPhotoPreviews — one card per photo with caption, tags and plant
+   *
+   * Edits go straight into the photo's object, so typing never re-renders.
+   */
   function renderPhotoPreviews() {
     const area = $('#photo-previews');
     if (!area) return;
 
-    area.innerHTML = selectedFiles.map((file, idx) => {
-      const url = URL.createObjectURL(file);
-      return `
+    // Photos already committed with the entry being edited come first
+    const cards = [
+      ...existingImages.map((img, idx) => ({ kind: 'existing', idx, src: `./${img.thumb || img.path}`, photo: img })),
+      ...selectedPhotos.map((p, idx) => ({ kind: 'new', idx, src: p.url, photo: p }))
+    ];
+
+    area.innerHTML = cards.map(({ kind, idx, src, photo }) => `
+      <div class="photo-card" data-kind="${kind}" data-idx="${idx}">
         <div class="photo-preview">
-          <img src="${url}" alt="Preview">
-          <button type="button" class="remove-photo" data-idx="${idx}">&times;</button>
+          <img src="${esc(src)}" alt="${kind === 'existing' ? 'Existing photo' : 'Preview'}">
+          <button type="button" class="remove-photo" aria-label="Remove photo">&times;</button>
         </div>
-      `;
-    }).join('');
+        <div class="photo-meta">
+          <input type="text" data-field="caption" placeholder="Caption" value="${esc(photo.caption)}">
+          <div class="photo-tags">
+            ${JournalEntries.PHOTO_TAGS.map(tag => `
+              <label><input type="checkbox" data-tag="${tag}" ${photo.tags.includes(tag) ? 'checked' : ''}> ${tag}</label>
+            `).join('')}
+          </div>
+          <input type="text" data-field="plant" list="photo-plant-options"
+            placeholder="Plant or site" value="${esc(photo.plant)}">
+        </div>
+      </div>
+    `).join('');
 
-    $$('.remove-photo', area).forEach(btn => {
-      btn.addEventListener('click', () => {
-        const idx = parseInt(btn.dataset.idx);
-        selectedFiles.splice(idx, 1);
+    $$('.photo-card', area).forEach(card => {
+      const idx = parseInt(card.dataset.idx);
+      const isExisting = card.dataset.kind === 'existing';
+      const photo = isExisting ? existingImages[idx] : selectedPhotos[idx];
+
+      $('.remove-photo', card).addEventListener('click', () => {
+        if (isExisting) {
+          existingImages.splice(idx, 1);
+        } else {
+          removeSelectedPhoto(idx);
+        }
         renderPhotoPreviews();
+        offerCaptureTime();
+        scheduleDraftSave();
+      });
+
+      $$('input[data-field]', card).forEach(input => {
+        input.addEventListener('input', () => { photo[input.dataset.field] = input.value.trim(); });
+      });
+
+      $$('input[data-tag]', card).forEach(box => {
+        box.addEventListener('change', () => {
+          photo.tags = $$('input[data-tag]:checked', card).map(b => b.dataset.tag);
+        });
       });
     });
   }
 
+  // What gets stored for a photo besides its path
+  function photoMeta(photo) {
+    return { caption: photo.caption, tags: [...photo.tags], plant: photo.plant };
+  }
+
   // ── Image Compression ──────────────────────────────
 
-  function compressImage(file) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const url = URL.createObjectURL(file);
+  /**
+   * decodeImage — load a photo upright
+   *
+   * createImageBitmap with imageOrientation 'from-image' applies the EXIF
+   * rotation itself; browsers without it fall back to an <img>. Older
+   * browsers that also ignore EXIF on <img> get the rotation applied on the
+   * canvas instead. Resolves with { source, orientation } where orientation
+   * is what is still left to apply.
+   */
+  async function decodeImage(file, orientation) {
+    if ('createImageBitmap' in window) {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        return { source: bitmap, orientation: 1 };
+      } catch {
+        // Unsupported option or format: use an <img> below
+      }
+    }
 
-      img.onload = () => {
+    const img = await new Promise((resolve, reject) => {
+      const el = new Image();
+      const url = URL.createObjectURL(file);
+      el.onload = () => {
         URL.revokeObjectURL(url);
-
-        let { width, height } = img;
-        if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
-          if (width > height) {
-            height = Math.round(height * MAX_IMAGE_DIMENSION / width);
-            width = MAX_IMAGE_DIMENSION;
-          } else {
-            width = Math.round(width * MAX_IMAGE_DIMENSION / height);
-            height = MAX_IMAGE_DIMENSION;
-          }
-        }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-
-        // Get base64 JPEG data (strip the data:image/jpeg;base64, prefix)
-        const dataUrl = canvas.toDataURL('image/jpeg', JPEG_QUALITY);
-        const base64 = dataUrl.split(',')[1];
-        resolve(base64);
+        resolve(el);
       };
-
-      img.onerror = () => {
+      el.onerror = () => {
         URL.revokeObjectURL(url);
         reject(new Error('Failed to load image'));
       };
+      el.src = url;
+    });
+
+    const autoRotates = window.CSS && CSS.supports('image-orientation', 'from-image');
+    return { source: img, orientation: autoRotates ? 1 : orientation };
+  }
 
-      img.src = url;
+  function getCompressWorker() {
+    if (compressWorker !== undefined) return compressWorker;
+    compressWorker = null;
+    if (!window.Worker || typeof OffscreenCanvas === 'undefined' || !('createImageBitmap' in window)) {
+      return null;
+    }
+
+    try {
+      compressWorker = new Worker('js/compress-worker.js');
+    } catch {
+      return null;
+    }
+    compressWorker.addEventListener('message', (e) => {
+      const job = compressJobs.get(e.data.id);
+      if (!job) return;
+      compressJobs.delete(e.data.id);
+      if (e.data.error) {
+        job.reject(new Error(e.data.error));
+      } else {
+        job.resolve(e.data.result);
+      }
+    });
+    // A worker that fails to start (e.g. importScripts 404) fails every job
+    compressWorker.addEventListener('error', () => {
+      compressJobs.forEach(job => job.reject(new Error('Compression worker failed')));
+      compressJobs.clear();
+      compressWorker.terminate();
+      compressWorker = null;
+    });
+    return compressWorker;
+  }
+
+  function compressInWorker(worker, file, settings) {
+    return new Promise((resolve, reject) => {
+      const id = ++compressJobId;
+      compressJobs.set(id, { resolve, reject });
+      worker.postMessage({ id, file, settings });
     });
   }
 
+  /**
+   * compressImage — full-size and thumbnail variants of a photo
+   *
+   * Runs in compress-worker.js so the page stays responsive; falls back to
+   * the main thread where the worker can't handle the photo. Size, quality
+   * and format come from ImageSettings. See ImagePipeline.compress for the
+   * result.
+   */
+  async function compressImage(file, orientation = 1) {
+    const settings = ImageSettings.get();
+
+    const worker = getCompressWorker();
+    if (worker) {
+      try {
+        return await compressInWorker(worker, file, settings);
+      } catch {
+        // Fall through to the main thread
+      }
+    }
+
+    const decoded = await decodeImage(file, orientation);
+    try {
+      return await ImagePipeline.compress(decoded, settings);
+    } finally {
+      if (decoded.source.close) decoded.source.close();
+    }
+  }
+
   // ── Form Submission ─────────────────────────────────
 
   async function onSubmit(e) {
@@ -184,15 +871,16 @@
 
     const time = $('#entry-time').value || '';
     const notes = $('#entry-notes').value || '';
-    const ph = $('#measurement-ph').value;
-    const ec = $('#measurement-ec').value;
-    const waterTemp = $('#measurement-temp').value;
-
-    // Build measurements object (only include non-empty)
-    const measurements = {};
-    if (ph !== '') measurements.ph = parseFloat(ph);
-    if (ec !== '') measurements.ec = parseFloat(ec);
-    if (waterTemp !== '') measurements.waterTemp = parseFloat(waterTemp);
+    let measurements;
+    let observations;
+    try {
+      measurements = readMeasurements();
+      observations = readObservations();
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    const actions = readActions();
 
     // Disable form
     submitBtn.disabled = true;
@@ -203,88 +891,100 @@
     const owner = Auth.getOwner();
     const repo = Auth.getRepo();
 
-    try {
-      const files = [];
-      const imagePaths = [];
+    let submission = null;
 
-      // Step 1: Compress and prepare images
-      if (selectedFiles.length > 0) {
+    try {
+      // Step 1: Compress photos (works offline, so the outbox can hold them)
+      const photos = [];
+      const photoMetas = [];
+      if (selectedPhotos.length > 0) {
         addProgress(progressEl, 'Compressing photos...');
-        for (let i = 0; i < selectedFiles.length; i++) {
-          const seq = String(i + 1).padStart(3, '0');
-          const path = `docs/images/${experimentId}/${date}_${seq}.jpg`;
-          const base64 = await compressImage(selectedFiles[i]);
-          files.push({ path, content: base64, encoding: 'base64' });
-          imagePaths.push(`images/${experimentId}/${date}_${seq}.jpg`);
-          addProgress(progressEl, `Compressed photo ${i + 1}/${selectedFiles.length}`);
+        for (let i = 0; i < selectedPhotos.length; i++) {
+          const photo = selectedPhotos[i];
+          const info = await photo.exif;
+          photos.push(await compressImage(photo.file, info ? info.orientation : 1));
+          photoMetas.push({ ...photoMeta(photo), ...Exif.summary(info) });
+          const percent = Math.round((i + 1) / selectedPhotos.length * 100);
+          addProgress(progressEl, `Compressed photo ${i + 1}/${selectedPhotos.length} (${percent}%)`);
         }
       }
 
-      // Step 2: Determine entry filename (handle multiple per day)
-      addProgress(progressEl, 'Checking existing entries...');
-      const indexPath = `docs/data/experiments/${experimentId}/entries/index.json`;
-      let existingIndex = await GitHubAPI.getFileContent(token, owner, repo, indexPath);
-      if (!existingIndex) {
-        existingIndex = { entries: [] };
-      }
-
-      let entryFilename = `${date}.json`;
-      // Check if an entry already exists for this date
-      const existing = existingIndex.entries.filter(f => f.startsWith(date));
-      if (existing.length > 0) {
-        // Find the next sequence number
-        let maxSeq = 0;
-        for (const f of existing) {
-          const match = f.match(/_(\d+)\.json$/);
-          if (match) {
-            maxSeq = Math.max(maxSeq, parseInt(match[1]));
-          } else {
-            // The base file exists without sequence, so the next is _02
-            maxSeq = Math.max(maxSeq, 1);
-          }
-        }
-        const nextSeq = String(maxSeq + 1).padStart(2, '0');
-        entryFilename = `${date}_${nextSeq}.json`;
-      }
-
-      // Step 3: Build entry JSON
-      const entry = {
+      submission = {
+        experimentId,
         date,
-        time,
-        notes,
-        images: imagePaths,
-        measurements
+        entry: { date, time, notes, measurements },
+        photos,
+        photoMeta: photoMetas
       };
+      if (actions.length > 0) submission.entry.actions = actions;
+      if (observations.length > 0) submission.entry.observations = observations;
+      // The draft stays until the entry is committed (here or from the outbox)
+      await saveDraftNow();
+      if (currentDraftId != null) submission.draftId = currentDraftId;
 
-      const entryPath = `docs/data/experiments/${experimentId}/entries/${entryFilename}`;
-      files.push({
-        path: entryPath,
-        content: JSON.stringify(entry, null, 2)
-      });
+      if (editing) {
+        submission.filename = editing.filename;
+        submission.keepImages = existingImages.map(img => ({ path: img.path, ...photoMeta(img) }));
+      } else if (currentTask && currentTask.experimentId === experimentId) {
+        submission.taskId = currentTask.id;
+      }
 
-      // Step 4: Update index.json
-      existingIndex.entries.push(entryFilename);
-      existingIndex.entries.sort();
-      files.push({
-        path: indexPath,
-        content: JSON.stringify(existingIndex, null, 2)
-      });
+      // Step 2: Queue straight away when we know there's no connection
+      if (!navigator.onLine) {
+        await queueSubmission(progressEl, submission);
+        return;
+      }
 
-      // Step 5: Commit everything
-      const commitMsg = `journal: ${experimentId} entry ${date}`;
-      await GitHubAPI.commitFiles(token, owner, repo, commitMsg, files, (step, msg) => {
-        addProgress(progressEl, msg);
+      // Step 3: Pick a filename, build the entry + index and commit everything
+      await JournalEntries.commitSubmission(token, owner, repo, submission, (step, msg, detail) => {
+        if (step === 'blob') {
+          setFileProgress(progressEl, detail, msg);
+        } else {
+          addProgress(progressEl, msg);
+        }
       });
 
       // Success
-      addProgress(progressEl, 'Entry submitted successfully!', 'done');
+      if (submission.draftId != null) {
+        detachDraft();
+        Drafts.remove(submission.draftId).catch(() => {});
+      }
+      if (editing) {
+        addProgress(progressEl, 'Entry updated!', 'done');
+        setTimeout(() => {
+          window.location.href = `index.html#exp/${experimentId}/entry/${editing.filename}`;
+        }, 1000);
+        return;
+      }
+      addProgress(progressEl, submission.taskId
+        ? 'Entry submitted and task marked done!'
+        : 'Entry submitted successfully!', 'done');
       resetForm();
 
     } catch (err) {
-      addProgress(progressEl, `Error: ${err.message}`, 'error');
+      if (submission && Outbox.isOfflineError(err)) {
+        await queueSubmission(progressEl, submission);
+      } else {
+        addProgress(progressEl, `Error: ${err.message}`, 'error');
+      }
     } finally {
       submitBtn.disabled = false;
-      submitBtn.textContent = 'Submit Entry';
+      submitBtn.textContent = submitLabel();
+    }
+  }
+
+  async function queueSubmission(progressEl, submission) {
+    try {
+      await Outbox.enqueue(submission, {
+        token: Auth.getToken(),
+        owner: Auth.getOwner(),
+        repo: Auth.getRepo()
+      });
+      addProgress(progressEl, 'Offline — entry saved and will upload when you reconnect.', 'done');
+      resetForm();
+      renderOutbox();
+    } catch (err) {
+      addProgress(progressEl, `Error: could not save entry offline (${err.message})`, 'error');
     }
   }
 
@@ -299,6 +999,20 @@
     el.appendChild(step);
   }
 
+  // One line per uploading file, updated in place as its percentage moves
+  function setFileProgress(el, detail, message) {
+    let line = $$('.step[data-path]', el).find(s => s.dataset.path === detail.path);
+    if (!line) {
+      line = document.createElement('div');
+      line.dataset.path = detail.path;
+      line.innerHTML = '<span></span><progress max="100"></progress>';
+      el.appendChild(line);
+    }
+    line.className = `step file-step ${detail.percent >= 100 ? 'done' : 'active'}`;
+    $('span', line).textContent = message;
+    $('progress', line).value = detail.percent;
+  }
+
   function showError(msg) {
     const progressEl = $('#submit-progress');
     if (progressEl) {
@@ -307,12 +1021,252 @@
   }
 
   function resetForm() {
+    detachDraft();
     $('#entry-notes').value = '';
-    $('#measurement-ph').value = '';
-    $('#measurement-ec').value = '';
-    $('#measurement-temp').value = '';
-    selectedFiles = [];
+    $$('input[data-measurement]').forEach(input => {
+      input.value = '';
+      checkTarget(input);
+    });
+    $('#action-rows').innerHTML = '';
+    $$('input[data-observation]').forEach(input => { input.value = ''; });
+    clearSelectedPhotos();
+    $('#capture-time-offer').classList.add('hidden');
+    if (editing) stopEditing();
+    clearTask();
+    renderPhotoPreviews();
+    renderDraftBanner();
+  }
+
+  // ── Drafts ──────────────────────────────────────────
+
+  function scheduleDraftSave() {
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(saveDraftNow, DRAFT_SAVE_DELAY_MS);
+  }
+
+  // Saves run one after another so the first save's id is known to the next
+  function saveDraftNow() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+
+    draftSaving = draftSaving.then(async () => {
+      const draft = readDraft();
+      try {
+        if (draft) {
+          currentDraftId = await Drafts.save({ ...draft, id: currentDraftId });
+        } else if (currentDraftId != null) {
+          // Everything was cleared again: nothing to restore
+          await Drafts.remove(currentDraftId);
+          currentDraftId = null;
+        }
+      } catch {
+        // IndexedDB unavailable (e.g. private mode): autosave is best-effort
+      }
+    });
+    return draftSaving;
+  }
+
+  // Stop autosaving into the current draft; the next edit starts a new one
+  function detachDraft() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+    currentDraftId = null;
+  }
+
+  // The form as a draft, or null when nothing has been entered
+  function readDraft() {
+    const measurements = { ...extraMeasurements };
+    $$('input[data-measurement]').forEach(input => {
+      if (input.value !== '') measurements[input.dataset.measurement] = input.value;
+    });
+    const actions = readActions();
+    const observations = readObservations(false);
+    const notes = $('#entry-notes').value;
+
+    const empty = !notes.trim() && actions.length === 0 && observations.length === 0 &&
+      selectedPhotos.length === 0 &&
+      measurementDefs.every(def => $(`#measurement-${def.key}`).value === '');
+    if (empty && !editing) return null;
+
+    return {
+      experimentId: editing ? editing.experimentId : $('#experiment-select').value,
+      filename: editing ? editing.filename : null,
+      date: $('#entry-date').value,
+      time: $('#entry-time').value,
+      notes,
+      measurements,
+      actions,
+      observations,
+      photos: selectedPhotos.map(p => ({ file: p.file, ...photoMeta(p) })),
+      existingImages: editing ? existingImages.map(img => ({ ...img, tags: [...img.tags] })) : []
+    };
+  }
+
+  /**
+   * renderDraftBanner — offer to restore autosaved drafts
+   *
+   * Drafts already queued in the outbox are left out (they reappear if the
+   * queued entry is discarded), as is the one the form is saving into.
+   */
+  async function renderDraftBanner() {
+    const banner = $('#draft-banner');
+    if (!banner) return;
+
+    let drafts = [];
+    try {
+      const [all, queued] = await Promise.all([Drafts.list(), Outbox.list()]);
+      const queuedIds = new Set(queued.map(r => r.submission.draftId).filter(id => id != null));
+      drafts = all.filter(d => d.id !== currentDraftId && !queuedIds.has(d.id));
+    } catch {
+      // No IndexedDB: no drafts
+    }
+
+    banner.classList.toggle('hidden', drafts.length === 0);
+    if (drafts.length === 0) {
+      banner.innerHTML = '';
+      return;
+    }
+
+    banner.innerHTML = `
+      <h4>Unsaved draft${drafts.length === 1 ? '' : 's'}</h4>
+      <ul class="draft-list">
+        ${drafts.map(d => {
+          const name = experimentNames.get(d.experimentId) || d.experimentId || 'No experiment';
+          const what = d.filename ? `edit of ${d.filename}` : (d.date || 'new entry');
+          const photos = d.photos.length;
+          const notes = d.notes.trim();
+          return `
+            <li class="draft-item">
+              <div>
+                <strong>${esc(name)}</strong> — ${esc(what)}
+                ${notes ? `<small>${esc(notes.length > 60 ? notes.slice(0, 60) + '…' : notes)}</small>` : ''}
+                <small>${photos} photo${photos === 1 ? '' : 's'}, saved ${new Date(d.updatedAt).toLocaleString()}</small>
+              </div>
+              <div class="draft-buttons">
+                <button type="button" class="restore-draft" data-id="${d.id}">Restore</button>
+                <button type="button" class="secondary outline discard-draft" data-id="${d.id}">Discard</button>
+              </div>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+
+    $$('.restore-draft', banner).forEach(btn => {
+      btn.addEventListener('click', () => restoreDraft(Number(btn.dataset.id)));
+    });
+    $$('.discard-draft', banner).forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Discard this draft?')) return;
+        await Drafts.remove(Number(btn.dataset.id));
+        renderDraftBanner();
+      });
+    });
+  }
+
+  async function restoreDraft(id) {
+    // Whatever is in the form now becomes a draft of its own
+    await saveDraftNow();
+
+    const draft = await Drafts.get(id);
+    if (!draft) {
+      renderDraftBanner();
+      return;
+    }
+
+    clearSelectedPhotos();
+    const entry = { ...draft, images: draft.existingImages };
+
+    try {
+      if (draft.filename) {
+        await startEditing(draft.experimentId, draft.filename, entry);
+        const params = new URLSearchParams({ experiment: draft.experimentId, entry: draft.filename });
+        history.replaceState(null, '', `${window.location.pathname}?${params}`);
+      } else {
+        if (editing) stopEditing();
+        await fillForm(draft.experimentId, entry);
+      }
+    } catch (err) {
+      showError(`Could not restore draft: ${err.message}`);
+      return;
+    }
+
+    selectedPhotos = draft.photos.map(p => ({
+      file: p.file,
+      url: URL.createObjectURL(p.file),
+      caption: p.caption,
+      tags: [...p.tags],
+      plant: p.plant,
+      exif: Exif.read(p.file)
+    }));
     renderPhotoPreviews();
+
+    currentDraftId = draft.id;
+    renderDraftBanner();
+  }
+
+  // ── Outbox ──────────────────────────────────────────
+
+  async function renderOutbox() {
+    const section = $('#outbox');
+    if (!section) return;
+
+    let records = [];
+    try {
+      records = await Outbox.list();
+    } catch {
+      // IndexedDB unavailable (e.g. private mode): nothing can be queued anyway
+    }
+
+    section.classList.toggle('hidden', records.length === 0);
+    const listEl = $('#outbox-list');
+    listEl.innerHTML = records.map(r => {
+      const s = r.submission;
+      const photos = s.photos.length;
+      return `
+        <li class="outbox-item">
+          <div>
+            <strong>${esc(s.experimentId)}</strong> — ${esc(s.filename ? `edit of ${s.filename}` : s.date)}${s.entry.time ? ` ${esc(s.entry.time)}` : ''}
+            <small>${photos} photo${photos === 1 ? '' : 's'}, queued ${new Date(r.createdAt).toLocaleString()}</small>
+            ${r.lastError ? `<small class="outbox-error">${esc(r.lastError)}</small>` : ''}
+          </div>
+          <button type="button" class="secondary outline discard-queued" data-id="${r.id}">Discard</button>
+        </li>
+      `;
+    }).join('');
+
+    $$('.discard-queued', listEl).forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Discard this queued entry? Its photos will be lost.')) return;
+        await Outbox.discard(Number(btn.dataset.id));
+        renderOutbox();
+        // Its draft (if any) can be restored again
+        renderDraftBanner();
+      });
+    });
+  }
+
+  // On-open retry for browsers without Background Sync
+  async function flushOutbox() {
+    if (!navigator.onLine) return;
+
+    const retryBtn = $('#outbox-retry');
+    if (retryBtn) retryBtn.disabled = true;
+    try {
+      const result = await Outbox.flush();
+      if (result.sent > 0) {
+        const status = $('#outbox-status');
+        if (status) {
+          status.innerHTML = `<div class="alert alert-success">Uploaded ${result.sent} queued entr${result.sent === 1 ? 'y' : 'ies'}.</div>`;
+        }
+      }
+    } catch {
+      // Leave everything queued; the list shows what is still waiting
+    } finally {
+      if (retryBtn) retryBtn.disabled = false;
+      renderOutbox();
+      renderDraftBanner();
+    }
   }
 
   // ── Start ───────────────────────────────────────────
@@ -0,0 +1,194 @@
+/* tasks.js — Recurring per-experiment tasks (meta.json) and their reminder notifications,
+   shared by pages and the service worker */
+
+(function () {
+  'use strict';
+
+  /**
+   * Tasks live in meta.json:
+   *   { id: 't1', title: 'Check pH & EC', everyDays: 2,
+   *     measurements: ['ph', 'ec'], action: 'top-up', lastDone: '2026-02-10' }
+   * measurements and action say what the entry completing the task records;
+   * both are optional. lastDone is set by the entry's commit. A task that has
+   * never been done is due from the experiment's start date. meta.json's
+   * lastTaskId is the highest t<N> ever issued, so ids are never reused.
+   */
+  const PERIODIC_SYNC_TAG = 'hydro-task-reminders';
+  // Browsers treat this as a lower bound and usually check less often
+  const REMINDER_INTERVAL_MS = 12 * 60 * 60 * 1000;
+  // Notified due dates are forgotten after this long
+  const REMINDER_RETENTION_MS = 60 * 24 * 60 * 60 * 1000;
+  const STORE = 'reminders';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function today() {
+    return isoDate(new Date());
+  }
+
+  function addDays(date, days) {
+    const d = new Date(date + 'T00:00:00');
+    d.setDate(d.getDate() + days);
+    return isoDate(d);
+  }
+
+  function daysBetween(from, to) {
+    return Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / DAY_MS);
+  }
+
+  /**
+   * status — when a task is next due, relative to `on` (default today)
+   *
+   * Returns { dueDate, days, state } where days is negative once overdue and
+   * state is 'overdue', 'due' (today) or 'upcoming'.
+   */
+  function status(task, startDate, on = today()) {
+    const dueDate = task.lastDone
+      ? addDays(task.lastDone, Math.max(1, task.everyDays || 1))
+      : (startDate || on);
+    const days = daysBetween(on, dueDate);
+    return { dueDate, days, state: days < 0 ? 'overdue' : days === 0 ? 'due' : 'upcoming' };
+  }
+
+  // "Overdue by 2 days", "Due today", "Due in 3 days"
+  function describeStatus(s) {
+    if (s.state === 'overdue') return `Overdue by ${-s.days} day${s.days === -1 ? '' : 's'}`;
+    if (s.state === 'due') return 'Due today';
+    return s.days === 1 ? 'Due tomorrow' : `Due in ${s.days} days`;
+  }
+
+  // "Every day", "Every 3 days"
+  function describeInterval(task) {
+    const n = task.everyDays || 1;
+    return n === 1 ? 'Every day' : `Every ${n} days`;
+  }
+
+  // A meta.json's tasks with their status, soonest first
+  function withStatus(meta, on) {
+    return ((meta && meta.tasks) || [])
+      .map(task => ({ task, status: status(task, meta.startDate, on) }))
+      .sort((a, b) => a.status.dueDate.localeCompare(b.status.dueDate));
+  }
+
+  // The entry form, set up to complete a task
+  function entryUrl(experimentId, taskId) {
+    return `app.html?${new URLSearchParams({ experiment: experimentId, task: taskId })}`;
+  }
+
+  // ── Reminders ───────────────────────────────────────
+
+  function canNotify() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  }
+
+  // Pages can be stale, but a cached copy beats no reminder while offline
+  async function fetchJson(url) {
+    try {
+      const res = await fetch(url, { cache: 'no-store' });
+      if (res.ok) return await res.json();
+    } catch {
+      // Fall through to the cache
+    }
+    const cached = await caches.match(url);
+    return cached ? cached.json() : null;
+  }
+
+  /**
+   * checkReminders — notify about due and overdue tasks of active experiments
+   *
+   * Each task is notified once per due date; the keys are kept in IndexedDB
+   * so the service worker's periodic check and the on-open check agree.
+   * Resolves with the number of notifications shown.
+   */
+  async function checkReminders(registration) {
+    if (!registration || !canNotify()) return 0;
+
+    const data = await fetchJson('./data/experiments.json');
+    const active = ((data && data.experiments) || []).filter(e => (e.status || 'active') === 'active');
+
+    const notified = new Map((await HydroDB.getAll(STORE)).map(r => [r.key, r]));
+    const cutoff = Date.now() - REMINDER_RETENTION_MS;
+    await Promise.all([...notified.values()]
+      .filter(r => r.notifiedAt < cutoff)
+      .map(r => HydroDB.remove(STORE, r.key)));
+
+    let shown = 0;
+    for (const exp of active) {
+      const meta = await fetchJson(`./data/experiments/${exp.id}/meta.json`);
+      const pending = withStatus({ startDate: exp.startDate, ...meta })
+        .filter(({ status: s }) => s.state !== 'upcoming');
+
+      for (const { task, status: s } of pending) {
+        const key = `${exp.id}/${task.id}/${s.dueDate}`;
+        if (notified.has(key)) continue;
+
+        await registration.showNotification(task.title, {
+          body: `${exp.name} — ${describeStatus(s).toLowerCase()}`,
+          tag: `${exp.id}/${task.id}`,
+          icon: './icons/icon-192.png',
+          data: { url: entryUrl(exp.id, task.id) }
+        });
+        await HydroDB.put(STORE, { key, notifiedAt: Date.now() });
+        shown++;
+      }
+    }
+    return shown;
+  }
+
+  /**
+   * enableReminders — ask for notification permission (from a click) and
+   * register the periodic check where the browser supports it
+   *
+   * Resolves with the permission: 'granted', 'denied' or 'default'.
+   */
+  async function enableReminders() {
+    if (typeof Notification === 'undefined') return 'denied';
+    const permission = await Notification.requestPermission();
+    if (permission === 'granted') await registerPeriodicCheck();
+    return permission;
+  }
+
+  async function registerPeriodicCheck() {
+    if (!('serviceWorker' in navigator)) return false;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      if (!reg.periodicSync) return false;
+      const allowed = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (allowed.state !== 'granted') return false;
+      await reg.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: REMINDER_INTERVAL_MS });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // On-open check for browsers without Periodic Background Sync
+  async function checkOnOpen() {
+    if (!('serviceWorker' in navigator) || !canNotify()) return 0;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      await registerPeriodicCheck();
+      return await checkReminders(reg);
+    } catch {
+      // Reminders are best-effort
+      return 0;
+    }
+  }
+
+  self.Tasks = {
+    PERIODIC_SYNC_TAG,
+    status,
+    describeStatus,
+    describeInterval,
+    withStatus,
+    entryUrl,
+    canNotify,
+    checkReminders,
+    enableReminders,
+    checkOnOpen
+  };
+})();
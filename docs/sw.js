@@ -1,17 +1,44 @@
-/* sw.js — Service worker: network-first for app shell + data, cache-first for CDN/icons */
+/* sw.js — Service worker: network-first for app shell + data, cache-first for CDN/icons,
+   background sync for the offline outbox, task reminder notifications */
 
-const CACHE_NAME = 'hydro-journal-v3';
+importScripts('js/db.js', 'js/github-api.js', 'js/entries.js', 'js/drafts.js', 'js/outbox.js', 'js/tasks.js');
+
+const CACHE_NAME = 'hydro-journal-v19';
 
 const APP_SHELL = [
   './',
   './index.html',
   './app.html',
   './settings.html',
+  './import.html',
   './css/style.css',
   './js/site.js',
   './js/auth.js',
+  './js/html.js',
   './js/github-api.js',
   './js/submit.js',
+  './js/db.js',
+  './js/entries.js',
+  './js/outbox.js',
+  './js/drafts.js',
+  './js/measurements.js',
+  './js/actions.js',
+  './js/plants.js',
+  './js/tasks.js',
+  './js/search.js',
+  './js/lightbox.js',
+  './js/export.js',
+  './js/import.js',
+  './js/exif.js',
+  './js/camera.js',
+  './js/image-settings.js',
+  './js/image-pipeline.js',
+  './js/compress-worker.js',
+  './vendor/chart.umd.min.js',
+  './vendor/chartjs-adapter-date-fns.bundle.min.js',
+  './vendor/hammer.min.js',
+  './vendor/chartjs-plugin-zoom.min.js',
+  './data/measurements.json',
   './manifest.json',
   './icons/icon-192.png',
   './icons/icon-512.png'
@@ -47,8 +74,8 @@ self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') return;
   if (url.hostname === 'api.github.com') return;
 
-  // CDN resources and icons: cache-first (they don't change)
-  if (url.hostname !== self.location.hostname || url.pathname.match(/\/icons\//)) {
+  // CDN resources, vendored libraries and icons: cache-first (they don't change)
+  if (url.hostname !== self.location.hostname || url.pathname.match(/\/(icons|vendor)\//)) {
     event.respondWith(cacheFirst(event.request));
     return;
   }
@@ -86,3 +113,39 @@ async function networkFirst(request) {
     return cached || new Response('Offline', { status: 503 });
   }
 }
+
+// Background Sync: replay entries queued while offline
+self.addEventListener('sync', (event) => {
+  if (event.tag !== Outbox.SYNC_TAG) return;
+  event.waitUntil(flushOutbox());
+});
+
+async function flushOutbox() {
+  const result = await Outbox.flush();
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox-updated', ...result }));
+
+  // Rejecting tells the browser to retry the sync later
+  if (result.offline) throw new Error('Still offline');
+}
+
+// Periodic Background Sync: remind about due tasks while the app is closed
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== Tasks.PERIODIC_SYNC_TAG) return;
+  event.waitUntil(Tasks.checkReminders(self.registration));
+});
+
+// Tapping a reminder opens the entry form for that task
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || './', self.registration.scope).href;
+  event.waitUntil(openWindow(url));
+});
+
+async function openWindow(url) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = clients.find(client => client.url === url);
+  if (existing) return existing.focus();
+  return self.clients.openWindow(url);
+}